@@ -1,5 +1,9 @@
+// Shared settings helpers (DEFAULT_SETTINGS, loadSettings, findJiraInstance, ...)
+importScripts('settings.js');
+
 // Cache for storing fetched Jira titles and issue types
-const titleCache = {}; // URL -> { title, issueType }
+// Mirrored to chrome.storage.local so it survives service worker restarts
+const titleCache = {}; // URL -> { title, issueType, cachedAt, lastAccessed }
 
 // Debug flag - set to false for production
 const DEBUG = false;
@@ -7,17 +11,252 @@ const DEBUG = false;
 // Force refresh of titles (for testing purposes)
 const FORCE_REFRESH = false;
 
+// Persistent title cache settings
+const TITLE_CACHE_STORAGE_KEY = 'titleCache';
+const TITLE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // Entries expire after a week
+const TITLE_CACHE_MAX_ENTRIES = 500; // Least recently used entries are evicted beyond this
+const TITLE_CACHE_PERSIST_DELAY = 500; // ms to batch writes to storage
+
+let titleCachePersistTimer = null;
+
+// Current extension settings, kept in sync with chrome.storage.sync
+let extensionSettings = { ...DEFAULT_SETTINGS };
+
+// Current API tokens, kept in sync with chrome.storage.local (never sent to content scripts)
+let extensionCredentials = { ...DEFAULT_CREDENTIALS };
+
 // Background script startup
 // console.log("BACKGROUND SCRIPT STARTED - Jira Link Beautifier");
 
-// Clear the cache on startup if in debug mode
-if (DEBUG && FORCE_REFRESH) {
-  // console.log("DEBUG MODE: Clearing title cache on startup");
-  Object.keys(titleCache).forEach(key => {
-    delete titleCache[key];
+// Function to bring a stored cache entry up to the current shape
+// Entries written before the cache was persisted only had { title, issueType }
+function migrateCacheEntry(entry, now) {
+  if (!entry || typeof entry !== 'object' || !entry.title) {
+    return null;
+  }
+  
+  return {
+    ...entry,
+    issueType: entry.issueType || "Unknown",
+    cachedAt: entry.cachedAt || now,
+    lastAccessed: entry.lastAccessed || entry.cachedAt || now
+  };
+}
+
+// Function to check whether a cache entry is older than the TTL
+function isCacheEntryExpired(entry, now = Date.now()) {
+  return !entry.cachedAt || now - entry.cachedAt > TITLE_CACHE_TTL;
+}
+
+// Function to restore the title cache from chrome.storage.local
+function loadTitleCache() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(TITLE_CACHE_STORAGE_KEY, items => {
+      if (chrome.runtime.lastError) {
+        console.log(`Could not load title cache: ${chrome.runtime.lastError.message}`);
+        resolve();
+        return;
+      }
+      
+      const storedCache = items[TITLE_CACHE_STORAGE_KEY] || {};
+      const now = Date.now();
+      let migrated = false;
+      
+      for (const url in storedCache) {
+        const entry = migrateCacheEntry(storedCache[url], now);
+        if (!entry || isCacheEntryExpired(entry, now)) {
+          migrated = true;
+          continue;
+        }
+        if (entry.cachedAt !== storedCache[url].cachedAt) {
+          migrated = true;
+        }
+        // Don't overwrite anything fetched while storage was loading
+        if (!titleCache[url]) {
+          titleCache[url] = entry;
+        }
+      }
+      
+      debugLog(`Restored ${Object.keys(titleCache).length} cached titles from storage`);
+      
+      // Write back right away if we dropped or upgraded entries
+      if (migrated) {
+        evictTitleCache();
+        schedulePersistTitleCache();
+      }
+      
+      resolve();
+    });
+  });
+}
+
+// Function to write the title cache to chrome.storage.local (batched)
+function schedulePersistTitleCache() {
+  if (titleCachePersistTimer) {
+    return;
+  }
+  
+  titleCachePersistTimer = setTimeout(() => {
+    titleCachePersistTimer = null;
+    chrome.storage.local.set({ [TITLE_CACHE_STORAGE_KEY]: titleCache }, () => {
+      if (chrome.runtime.lastError) {
+        console.log(`Could not persist title cache: ${chrome.runtime.lastError.message}`);
+      }
+    });
+  }, TITLE_CACHE_PERSIST_DELAY);
+}
+
+// Function to drop the least recently used entries once the cache is over its size cap
+function evictTitleCache() {
+  const urls = Object.keys(titleCache);
+  if (urls.length <= TITLE_CACHE_MAX_ENTRIES) {
+    return;
+  }
+  
+  urls.sort((a, b) => titleCache[a].lastAccessed - titleCache[b].lastAccessed);
+  const excess = urls.length - TITLE_CACHE_MAX_ENTRIES;
+  for (let i = 0; i < excess; i++) {
+    delete titleCache[urls[i]];
+  }
+  
+  debugLog(`Evicted ${excess} least recently used titles from cache`);
+}
+
+// Function to read a cache entry, honouring the TTL and updating its LRU timestamp
+function getCachedTitle(url) {
+  const entry = titleCache[url];
+  if (!entry) {
+    return null;
+  }
+  
+  const now = Date.now();
+  if (isCacheEntryExpired(entry, now)) {
+    debugLog(`Cached title for ${url} expired`);
+    deleteCachedTitle(url);
+    return null;
+  }
+  
+  entry.lastAccessed = now;
+  schedulePersistTitleCache();
+  return entry;
+}
+
+// Function to store a title (and issue type) in the cache
+// Placeholder titles (fallback: true, e.g. "ABC-1: Jira Issue" while logged out) are never stored,
+// so the real title is fetched as soon as it can be
+function setCachedTitle(url, data) {
+  if (data.fallback) {
+    debugLog(`Not caching placeholder title for ${url}`);
+    return null;
+  }
+  
+  const now = Date.now();
+  titleCache[url] = {
+    ...data,
+    cachedAt: now,
+    lastAccessed: now
+  };
+  
+  evictTitleCache();
+  schedulePersistTitleCache();
+  return titleCache[url];
+}
+
+// Function to remove a cache entry
+function deleteCachedTitle(url) {
+  if (titleCache[url]) {
+    delete titleCache[url];
+    schedulePersistTitleCache();
+  }
+}
+
+// Restore the persisted cache; message handlers wait for this before reading it
+const titleCacheReady = loadTitleCache().then(() => {
+  // Clear the cache on startup if in debug mode
+  if (DEBUG && FORCE_REFRESH) {
+    // console.log("DEBUG MODE: Clearing title cache on startup");
+    Object.keys(titleCache).forEach(key => {
+      deleteCachedTitle(key);
+    });
+  }
+  
+  // Run both cleanup functions once the stored entries are back
+  cleanIncorrectTitlesInCache();
+  cleanIncorrectAsanaTitlesInCache();
+});
+
+// Load settings; message handlers wait for these too
+const settingsReady = loadSettings().then(settings => {
+  extensionSettings = settings;
+});
+
+// Keep settings up to date when they're changed from the options page
+onSettingsChanged(changes => {
+  extensionSettings = { ...extensionSettings, ...changes };
+  debugLog(`Settings updated: ${Object.keys(changes).join(', ')}`);
+  
+  // The copy menu is only offered on sites we know
+  if ('jiraInstances' in changes || 'gitlabInstances' in changes) {
+    updateCopyLinkMenus();
+  }
+});
+
+// Function to move API tokens saved by older versions from the synced settings to local storage
+function migrateSyncedCredentials() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get(['githubToken', 'linearApiKey', 'gitlabInstances'], items => {
+      if (chrome.runtime.lastError) {
+        resolve();
+        return;
+      }
+      
+      const instancesWithTokens = (items.gitlabInstances || []).filter(instance => instance && 'token' in instance);
+      if (!('githubToken' in items) && !('linearApiKey' in items) && instancesWithTokens.length === 0) {
+        resolve();
+        return;
+      }
+      
+      loadCredentials().then(credentials => {
+        const gitlabTokens = { ...credentials.gitlabTokens };
+        for (const instance of instancesWithTokens) {
+          if (instance.token) {
+            gitlabTokens[instance.baseUrl] = instance.token;
+          }
+        }
+        
+        return saveCredentials({
+          githubToken: credentials.githubToken || items.githubToken || '',
+          linearApiKey: credentials.linearApiKey || items.linearApiKey || '',
+          gitlabTokens
+        });
+      }).then(() => {
+        // Only drop the synced copies once the local ones are saved
+        const gitlabInstances = (items.gitlabInstances || []).map(instance => ({ baseUrl: instance.baseUrl }));
+        chrome.storage.sync.remove(['githubToken', 'linearApiKey']);
+        return saveSettings({ gitlabInstances });
+      }).then(() => {
+        console.log('Moved API tokens from synced settings to local storage');
+      }).catch(error => {
+        console.log(`Could not move API tokens to local storage: ${error.message}`);
+      }).then(resolve);
+    });
   });
 }
 
+// Load API tokens once any left in the synced settings have been moved out
+const credentialsReady = migrateSyncedCredentials().then(loadCredentials).then(credentials => {
+  extensionCredentials = credentials;
+});
+
+// Keep API tokens up to date when they're changed from the options page
+onCredentialsChanged(changes => {
+  extensionCredentials = { ...extensionCredentials, ...changes };
+  debugLog(`Credentials updated: ${Object.keys(changes).join(', ')}`);
+});
+
+// Everything message handlers need before they can answer
+const backgroundReady = Promise.all([titleCacheReady, settingsReady, credentialsReady]);
+
 // Track authentication status for different services
 const authStatus = {
   asana: {
@@ -81,25 +320,16 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
                   const taskId = taskIdMatch[1];
                   
                   // Store this title in our cache
-                  titleCache[tab.url] = {
+                  const issueType = getAsanaIssueType(tab.url);
+                  setCachedTitle(tab.url, {
                     title: updatedTab.title,
-                    issueType: 'AsanaTask'
-                  };
+                    issueType
+                  });
                   
                   // Notify content scripts about the new title
-                  chrome.tabs.query({}, allTabs => {
-                    allTabs.forEach(contentTab => {
-                      try {
-                        chrome.tabs.sendMessage(contentTab.id, {
-                          action: 'titleUpdated',
-                          url: tab.url,
-                          title: updatedTab.title,
-                          issueType: 'AsanaTask'
-                        });
-                      } catch (err) {
-                        // Ignore errors when sending to tabs
-                      }
-                    });
+                  broadcastTitleUpdate(tab.url, {
+                    title: updatedTab.title,
+                    issueType
                   });
                 }
               }
@@ -108,7 +338,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
         }
       } 
       // For Jira authentication
-      else if (tab.url.includes('atlassian.net')) {
+      else if (isJiraHostUrl(tab.url)) {
         if (!tab.url.includes('login') && 
             (tab.url.includes('/browse/') || tab.url.includes('/issues/'))) {
           console.log('Detected authenticated Jira tab loaded:', tab.url);
@@ -121,6 +351,22 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+// Function to tell every tab's content script about a new or changed title
+function broadcastTitleUpdate(url, data) {
+  chrome.tabs.query({}, tabs => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, {
+        action: 'titleUpdated',
+        url: url,
+        ...data
+      }, () => {
+        // Ignore errors from tabs that don't have our content script
+        void chrome.runtime.lastError;
+      });
+    });
+  });
+}
+
 function debugLog(message) {
   if (DEBUG) {
     console.log(`[Jira Link Beautifier BG] ${message}`);
@@ -129,14 +375,38 @@ function debugLog(message) {
   }
 }
 
+// Helper function to check whether a URL is on Jira Cloud or a configured Jira instance
+function isJiraHostUrl(url) {
+  if (!url) return false;
+  return url.includes('atlassian.net') || !!findJiraInstance(url, extensionSettings.jiraInstances);
+}
+
+// Helper function to get the Jira base URL (including any context path) for an issue URL
+function getJiraBaseUrl(url) {
+  // Configured instances know their context path, e.g. https://example.com/jira
+  const instance = findJiraInstance(url, extensionSettings.jiraInstances);
+  if (instance) return instance.baseUrl;
+  
+  // We need to handle both /browse/ and /issues/ paths
+  if (url.includes('/browse/')) {
+    return url.split('/browse/')[0];
+  } else if (url.includes('/issues/')) {
+    return url.split('/issues/')[0];
+  }
+  
+  // If we can't determine the base URL, use the origin (keeps any port)
+  const urlObj = new URL(url);
+  return urlObj.origin;
+}
+
 // Helper function to extract the issue key from a URL
 function extractIssueKeyFromUrl(url) {
   // Try to match selectedIssue query parameter first
   const selectedIssueMatch = url.match(/[?&]selectedIssue=([A-Z]+-\d+)/i);
   if (selectedIssueMatch) return selectedIssueMatch[1];
 
-  // Try to match both /browse/KEY-123 and /issues/KEY-123 patterns
-  const match = url.match(/\/(?:browse|issues)\/([A-Z]+-\d+)(?:\?|$|\/)/);
+  // Try to match /browse/KEY-123, /issues/KEY-123 and JSM portal patterns
+  const match = url.match(/\/(?:browse|issues|servicedesk\/customer\/portal\/\d+)\/([A-Z]+-\d+)(?:\?|$|\/)/);
   if (match) return match[1];
 
   // Fallback: Match any pattern that looks like an issue key
@@ -156,8 +426,7 @@ function normalizeJiraUrl(url) {
   // For Jira URLs, construct a clean URL without query params
   if (url.includes('/browse/') || url.includes('/issues/')) {
     try {
-      const urlObj = new URL(url);
-      const baseUrl = `${urlObj.protocol}//${urlObj.hostname}`;
+      const baseUrl = getJiraBaseUrl(url);
       // Determine which path format is used
       if (url.includes('/browse/')) {
         return `${baseUrl}/browse/${issueKey}`;
@@ -219,17 +488,7 @@ async function fetchJiraTitleViaAPI(url) {
     }
     
     // Construct the API URL - this works for both Atlassian Cloud and Server instances
-    // We need to handle both /browse/ and /issues/ paths
-    let baseUrl;
-    if (url.includes('/browse/')) {
-      baseUrl = url.split('/browse/')[0];
-    } else if (url.includes('/issues/')) {
-      baseUrl = url.split('/issues/')[0];
-    } else {
-      // If we can't determine the base URL, try to extract it from the domain
-      const urlObj = new URL(url);
-      baseUrl = `${urlObj.protocol}//${urlObj.hostname}`;
-    }
+    const baseUrl = getJiraBaseUrl(url);
     
     const apiUrl = `${baseUrl}/rest/api/2/issue/${issueKey}`;
     debugLog(`Constructed API URL: ${apiUrl} from base URL: ${baseUrl} and issue key: ${issueKey}`);
@@ -241,11 +500,12 @@ async function fetchJiraTitleViaAPI(url) {
     if (response.status === 401 || response.status === 403) {
       console.log('Not authenticated for Jira API, opening auth tab');
       // Open a new tab for authentication - this will prompt the user to login
-      chrome.tabs.create({ url: url, active: false });
+      openJiraAuthTab(baseUrl, url);
       // Return a simple title with the issue key
       return { 
         title: `${issueKey}: Jira Issue`, 
-        issueType: "Unknown"
+        issueType: "Unknown",
+        fallback: true
       };
     }
     
@@ -257,43 +517,287 @@ async function fetchJiraTitleViaAPI(url) {
     
     // Parse the JSON response
     const data = await response.json();
+    const sprintField = await getJiraSprintField(baseUrl);
     
-    // Extract the issue type from the API response with more detailed logging
-    let issueType = "Unknown";
-    
-    try {
-      if (data.fields && data.fields.issuetype) {
-        if (data.fields.issuetype.name) {
-          issueType = data.fields.issuetype.name;
-          debugLog(`Extracted issue type name from API: "${issueType}"`);
-        } else {
-          debugLog(`issuetype exists but has no name property: ${JSON.stringify(data.fields.issuetype)}`);
-        }
+    return parseJiraIssueData(data, url, issueKey, sprintField);
+  } catch (error) {
+    console.error('Error fetching Jira title via API:', error);
+    return { title: null, issueType: "Unknown" };
+  }
+}
+
+// Function to turn a Jira issue JSON object (from the issue or search API) into a title result
+// sprintField is the site's sprint custom field, if it has one (see getJiraSprintField)
+function parseJiraIssueData(data, url, issueKey, sprintField = null) {
+  // Extract the issue type from the API response with more detailed logging
+  let issueType = "Unknown";
+  
+  try {
+    if (data.fields && data.fields.issuetype) {
+      if (data.fields.issuetype.name) {
+        issueType = data.fields.issuetype.name;
+        debugLog(`Extracted issue type name from API: "${issueType}"`);
       } else {
-        debugLog(`No issuetype field found in API response: ${JSON.stringify(data.fields).substring(0, 200)}...`);
+        debugLog(`issuetype exists but has no name property: ${JSON.stringify(data.fields.issuetype)}`);
       }
-    } catch (e) {
-      debugLog(`Error extracting issue type from API: ${e.message}`);
+    } else {
+      debugLog(`No issuetype field found in API response: ${JSON.stringify(data.fields).substring(0, 200)}...`);
+    }
+  } catch (e) {
+    debugLog(`Error extracting issue type from API: ${e.message}`);
+  }
+  
+  debugLog(`Final issue type from API: ${issueType}`);
+  
+  // Extract the status and its category (To Do / In Progress / Done)
+  const status = data.fields?.status?.name || null;
+  const statusCategory = getJiraStatusCategory(data.fields?.status?.statusCategory);
+  
+  // Extract the assignee for display templates
+  const assignee = data.fields?.assignee?.displayName || null;
+  
+  // The current sprint, for the Sheets columns
+  const sprint = sprintField ? getJiraSprintName(data.fields?.[sprintField]) : null;
+  
+  // Jira's own image for the issue type, for editors that can show it
+  const issueTypeIconUrl = data.fields?.issuetype?.iconUrl || null;
+  
+  // Extract the summary field which contains the issue title
+  const summary = data.fields?.summary;
+  
+  if (summary) {
+    // Construct a title with the issue key and summary
+    const title = `${issueKey}: ${summary}`;
+    return { 
+      title: cleanTitle(title, url, issueKey),
+      issueType,
+      status,
+      statusCategory,
+      assignee,
+      sprint,
+      issueTypeIconUrl
+    };
+  }
+  
+  return { title: null, issueType };
+}
+
+// Jira Software keeps sprints in a custom field whose ID differs from site to site
+const JIRA_SPRINT_FIELD_SCHEMA = 'com.pyxis.greenhopper.jira:gh-sprint';
+
+// Jira base URL -> promise of its sprint field ID (null when the site has no sprints)
+const jiraSprintFields = new Map();
+
+// Function to find a Jira site's sprint field, looked up once per site from its field list
+function getJiraSprintField(baseUrl) {
+  if (!jiraSprintFields.has(baseUrl)) {
+    const lookup = fetch(`${baseUrl}/rest/api/2/field`)
+      .then(response => {
+        if (!response.ok) {
+          // Most likely not logged in yet - look again next time
+          jiraSprintFields.delete(baseUrl);
+          return [];
+        }
+        return response.json();
+      })
+      .then(fields => {
+        const sprintField = fields.find(field => field.schema && field.schema.custom === JIRA_SPRINT_FIELD_SCHEMA);
+        debugLog(`Sprint field for ${baseUrl}: ${sprintField ? sprintField.id : 'none'}`);
+        return sprintField ? sprintField.id : null;
+      })
+      .catch(error => {
+        debugLog(`Could not look up the sprint field for ${baseUrl}: ${error.message}`);
+        jiraSprintFields.delete(baseUrl);
+        return null;
+      });
+    jiraSprintFields.set(baseUrl, lookup);
+  }
+  
+  return jiraSprintFields.get(baseUrl);
+}
+
+// Function to get the name of an issue's current sprint (the active one, else the latest)
+// Jira Cloud returns sprint objects; Jira Server returns strings like
+// "com.atlassian.greenhopper.service.sprint.Sprint@1a2b[id=3,rapidViewId=1,state=ACTIVE,name=Sprint 5,startDate=...]"
+function getJiraSprintName(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  
+  const sprints = value.map(sprint => {
+    if (sprint && typeof sprint === 'object') {
+      return { name: sprint.name, state: sprint.state };
+    }
+    const text = String(sprint);
+    const nameMatch = text.match(/[\[,]name=(.*?)(?:,\w+=|\]$)/);
+    const stateMatch = text.match(/[\[,]state=(\w+)/);
+    return { name: nameMatch ? nameMatch[1] : null, state: stateMatch ? stateMatch[1] : null };
+  }).filter(sprint => sprint.name);
+  
+  const activeSprint = sprints.find(sprint => /^active$/i.test(sprint.state || ''));
+  const sprint = activeSprint || sprints[sprints.length - 1];
+  return sprint ? sprint.name : null;
+}
+
+// Function to map a Jira status category onto "To Do", "In Progress" or "Done"
+// The category key is stable across languages, unlike its name
+function getJiraStatusCategory(category) {
+  if (!category) return null;
+  
+  switch (category.key) {
+    case 'new':
+      return 'To Do';
+    case 'indeterminate':
+      return 'In Progress';
+    case 'done':
+      return 'Done';
+    default:
+      return category.name || null;
+  }
+}
+
+// A Jira login tab opens at most once per host within this window, however many titles fail
+const JIRA_AUTH_TAB_INTERVAL = 30000; // ms
+
+// Jira base URL -> when a login tab was last opened for it
+const jiraAuthTabs = new Map();
+
+// Function to open a Jira issue in a background tab so the user can log in
+function openJiraAuthTab(baseUrl, url) {
+  const now = Date.now();
+  if (now - (jiraAuthTabs.get(baseUrl) || 0) < JIRA_AUTH_TAB_INTERVAL) {
+    debugLog(`Login tab for ${baseUrl} already opened, not opening another`);
+    return;
+  }
+  
+  jiraAuthTabs.set(baseUrl, now);
+  authStatus.jira.lastAuthAttempt = now;
+  chrome.tabs.create({ url: url, active: false });
+}
+
+// Jira issues requested within this window are resolved together with one search per host
+const JIRA_BATCH_WINDOW = 50; // ms
+const JIRA_BATCH_MAX_KEYS = 50; // Issue keys per search request
+
+// Jira base URL -> Map of issue key -> [{ url, resolve }] waiting for the next batch
+const pendingJiraBatches = new Map();
+
+// Function to queue a Jira issue for batched resolution
+// Resolves with the same shape as fetchJiraTitleViaAPI
+function fetchJiraTitleBatched(url) {
+  const issueKey = extractIssueKeyFromUrl(url);
+  if (!issueKey) {
+    return fetchJiraTitleViaAPI(url);
+  }
+  
+  let baseUrl;
+  try {
+    baseUrl = getJiraBaseUrl(url);
+  } catch (e) {
+    return fetchJiraTitleViaAPI(url);
+  }
+  
+  return new Promise(resolve => {
+    let batch = pendingJiraBatches.get(baseUrl);
+    if (!batch) {
+      batch = new Map();
+      pendingJiraBatches.set(baseUrl, batch);
+      setTimeout(() => runJiraBatch(baseUrl), JIRA_BATCH_WINDOW);
     }
     
-    debugLog(`Final issue type from API: ${issueType}`);
+    const key = issueKey.toUpperCase();
+    if (!batch.has(key)) {
+      batch.set(key, []);
+    }
+    batch.get(key).push({ url, resolve });
+  });
+}
+
+// Function to resolve every issue queued for a Jira host
+async function runJiraBatch(baseUrl) {
+  const batch = pendingJiraBatches.get(baseUrl);
+  pendingJiraBatches.delete(baseUrl);
+  if (!batch) return;
+  
+  const keys = Array.from(batch.keys());
+  const sprintField = await getJiraSprintField(baseUrl);
+  
+  // Function to resolve a key's waiters one by one through the single-issue API
+  const resolveIndividually = key => {
+    const waiters = batch.get(key);
+    fetchJiraTitleViaAPI(waiters[0].url)
+      .then(result => waiters.forEach(waiter => waiter.resolve(result)));
+  };
+  
+  // A single issue doesn't need a search - the issue API also handles authentication
+  if (keys.length === 1) {
+    resolveIndividually(keys[0]);
+    return;
+  }
+  
+  for (let i = 0; i < keys.length; i += JIRA_BATCH_MAX_KEYS) {
+    const chunk = keys.slice(i, i + JIRA_BATCH_MAX_KEYS);
+    const { status, issues } = await searchJiraIssues(baseUrl, chunk, sprintField);
+    
+    // Logged out - one login tab for the host, and the issue key as the title for everything queued
+    if (status === 401 || status === 403) {
+      console.log(`Not authenticated for Jira at ${baseUrl}, opening auth tab`);
+      openJiraAuthTab(baseUrl, batch.get(chunk[0])[0].url);
+      for (const key of keys.slice(i)) {
+        batch.get(key).forEach(waiter => waiter.resolve({ title: `${key}: Jira Issue`, issueType: "Unknown", fallback: true }));
+      }
+      return;
+    }
     
-    // Extract the summary field which contains the issue title
-    const summary = data.fields?.summary;
+    for (const key of chunk) {
+      // The search failed - leave these to the callers' own fallback
+      if (!issues) {
+        batch.get(key).forEach(waiter => waiter.resolve({ title: null, issueType: "Unknown" }));
+        continue;
+      }
+      
+      // Not found (moved, deleted, no access) - fall back per issue
+      const issue = issues.get(key);
+      if (!issue) {
+        resolveIndividually(key);
+        continue;
+      }
+      
+      for (const waiter of batch.get(key)) {
+        waiter.resolve(parseJiraIssueData(issue, waiter.url, key, sprintField));
+      }
+    }
+  }
+}
+
+// Function to look up several Jira issues with a single JQL search
+// Returns { status, issues } with a Map of issue key -> issue JSON, or issues = null if the search failed
+async function searchJiraIssues(baseUrl, issueKeys, sprintField = null) {
+  try {
+    const jql = `key in (${issueKeys.join(',')})`;
+    const fields = ['summary', 'issuetype', 'status', 'assignee', sprintField].filter(Boolean).join(',');
+    // validateQuery=warn keeps one unknown key from failing the whole search
+    const apiUrl = `${baseUrl}/rest/api/2/search?jql=${encodeURIComponent(jql)}` +
+                   `&fields=${fields}&maxResults=${issueKeys.length}&validateQuery=warn`;
+    debugLog(`Resolving ${issueKeys.length} issues with one search: ${apiUrl}`);
     
-    if (summary) {
-      // Construct a title with the issue key and summary
-      const title = `${issueKey}: ${summary}`;
-      return { 
-        title: cleanTitle(title, url, issueKey),
-        issueType
-      };
+    const response = await fetch(apiUrl);
+    if (!response.ok) {
+      console.log('Jira search request failed with status:', response.status);
+      return { status: response.status, issues: null };
     }
     
-    return { title: null, issueType };
+    const data = await response.json();
+    const issues = new Map();
+    for (const issue of data.issues || []) {
+      if (issue && issue.key) {
+        issues.set(issue.key.toUpperCase(), issue);
+      }
+    }
+    
+    debugLog(`Search returned ${issues.size} of ${issueKeys.length} issues`);
+    return { status: response.status, issues };
   } catch (error) {
-    console.error('Error fetching Jira title via API:', error);
-    return { title: null, issueType: "Unknown" };
+    console.error('Error searching Jira issues:', error);
+    return { status: null, issues: null };
   }
 }
 
@@ -304,26 +808,17 @@ async function fetchJiraTitleViaHTML(url) {
     const urlIssueKey = extractIssueKeyFromUrl(url);
     if (!urlIssueKey) {
       debugLog(`Could not extract issue key from URL: ${url}`);
-      return { title: "Jira Issue", issueType: "Unknown" };
+      return { title: "Jira Issue", issueType: "Unknown", fallback: true };
     }
     
     debugLog(`Extracted issue key from URL: ${urlIssueKey}`);
     
     // Normalize URL to browse format which is more reliable
-    let apiBaseUrl;
-    if (url.includes('/browse/')) {
-      apiBaseUrl = url.split('/browse/')[0];
-    } else if (url.includes('/issues/')) {
-      apiBaseUrl = url.split('/issues/')[0];
+    const apiBaseUrl = getJiraBaseUrl(url);
+    if (!url.includes('/browse/')) {
       // Change URL to browse format for more reliable title extraction
       url = `${apiBaseUrl}/browse/${urlIssueKey}`;
       debugLog(`Normalized URL to browse format: ${url}`);
-    } else {
-      // Extract domain if we can't determine base URL
-      const urlObj = new URL(url);
-      apiBaseUrl = `${urlObj.protocol}//${urlObj.hostname}`;
-      url = `${apiBaseUrl}/browse/${urlIssueKey}`;
-      debugLog(`Constructed browse URL: ${url}`);
     }
     
     // Make the request
@@ -333,12 +828,13 @@ async function fetchJiraTitleViaHTML(url) {
     if (response.status === 401 || response.status === 403) {
       console.log('Not authenticated for Jira, opening auth tab');
       // Open a new tab for authentication
-      chrome.tabs.create({ url: url, active: false });
+      openJiraAuthTab(apiBaseUrl, url);
       // Extract the issue key from the URL as a fallback
       const issueKey = extractIssueKeyFromUrl(url);
       return { 
         title: issueKey ? `${issueKey}: Jira Issue` : "Jira Issue", 
-        issueType: "Unknown"
+        issueType: "Unknown",
+        fallback: true
       };
     }
     
@@ -373,7 +869,8 @@ async function fetchJiraTitleViaHTML(url) {
         // Always use the issue key from the URL since we've verified it exists
         return { 
           title: `${urlIssueKey}: Jira Issue`, 
-          issueType 
+          issueType,
+          fallback: true
         };
       }
       
@@ -393,7 +890,8 @@ async function fetchJiraTitleViaHTML(url) {
     // Fallback to using the issue key from the URL
     return { 
       title: `${urlIssueKey}: Jira Issue`, 
-      issueType
+      issueType,
+      fallback: true
     };
   } catch (error) {
     console.error('Error fetching Jira title via HTML:', error);
@@ -483,6 +981,97 @@ function detectIssueType(html) {
   }
 }
 
+// API endpoints and fields for the Asana objects other than tasks
+// Project messages have no public endpoint; status updates are the closest resource
+const ASANA_OBJECT_TYPES = {
+  project: {
+    endpoint: 'projects',
+    optFields: 'name,archived,current_status_update.status_type'
+  },
+  portfolio: {
+    endpoint: 'portfolios',
+    optFields: 'name'
+  },
+  goal: {
+    endpoint: 'goals',
+    optFields: 'name,status'
+  },
+  conversation: {
+    endpoint: 'status_updates',
+    optFields: 'title,status_type'
+  }
+};
+
+// Labels for Asana project status updates and goal statuses
+const ASANA_STATUS_LABELS = {
+  on_track: 'On track',
+  at_risk: 'At risk',
+  off_track: 'Off track',
+  on_hold: 'On hold',
+  complete: 'Complete',
+  green: 'On track',
+  yellow: 'At risk',
+  red: 'Off track',
+  achieved: 'Achieved',
+  partial: 'Partial',
+  missed: 'Missed',
+  dropped: 'Dropped'
+};
+
+// Function to fetch the title of an Asana project, portfolio, goal or conversation
+async function fetchAsanaObjectTitle(asanaLink) {
+  const objectType = ASANA_OBJECT_TYPES[asanaLink.kind];
+  const issueType = ASANA_ISSUE_TYPES[asanaLink.kind];
+  const apiUrl = `https://app.asana.com/api/1.0/${objectType.endpoint}/${asanaLink.id}?opt_fields=${objectType.optFields}`;
+  console.log(`Fetching Asana ${asanaLink.kind} title from ${apiUrl}`);
+  
+  try {
+    const response = await fetch(apiUrl, {
+      credentials: 'include', // Include cookies for authentication
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      console.log(`Asana ${asanaLink.kind} request failed with status: ${response.status}`);
+      return { title: null, issueType, httpStatus: response.status };
+    }
+    
+    const data = await response.json();
+    const object = data && data.data ? data.data : {};
+    const title = (object.name || object.title || '').trim();
+    
+    // Goals carry their own status; projects show their latest status update
+    const statusKey = object.status || object.status_type || object.current_status_update?.status_type || null;
+    
+    return {
+      title: title || null,
+      issueType,
+      status: object.archived ? 'Archived' : (ASANA_STATUS_LABELS[statusKey] || null)
+    };
+  } catch (error) {
+    console.log(`Error fetching Asana ${asanaLink.kind}: ${error.message}`);
+    return { title: null, issueType };
+  }
+}
+
+// Task fields cached with the title: completion, assignee, due date and parent task
+const ASANA_TASK_OPT_FIELDS = 'name,completed,assignee.name,due_on,due_at,parent.name';
+
+// Helper function to turn an Asana task from the API into the data cached with its title
+function parseAsanaTaskData(task) {
+  return {
+    title: task.name.trim(),
+    issueType: "AsanaTask",
+    assignee: task.assignee?.name || null,
+    completed: !!task.completed,
+    dueOn: task.due_on || null,
+    dueAt: task.due_at || null,
+    parentName: task.parent?.name || null
+  };
+}
+
 // Function to fetch Asana task title via HTML
 async function fetchAsanaTaskTitle(url, taskId) {
   try {
@@ -500,7 +1089,7 @@ async function fetchAsanaTaskTitle(url, taskId) {
       baseUrl = url.split('/').slice(0, 3).join('/');
     }
     
-    const apiUrl = `${baseUrl}/api/1.0/tasks/${taskId}`;
+    const apiUrl = `${baseUrl}/api/1.0/tasks/${taskId}?opt_fields=${ASANA_TASK_OPT_FIELDS}`;
     
     console.log(`Trying to fetch Asana task data from API endpoint: ${apiUrl}`);
     try {
@@ -517,9 +1106,9 @@ async function fetchAsanaTaskTitle(url, taskId) {
         console.log('API response data:', data);
         
         if (data && data.data && data.data.name) {
-          const title = data.data.name.trim();
-          console.log(`Successfully fetched Asana task title via API: "${title}"`);
-          return { title, issueType: "AsanaTask" };
+          const taskData = parseAsanaTaskData(data.data);
+          console.log(`Successfully fetched Asana task title via API: "${taskData.title}"`);
+          return taskData;
         }
       } else {
         console.log(`API request failed with status: ${apiResponse.status}`);
@@ -712,43 +1301,21 @@ function openAuthTab(url, taskId, service = 'asana') {
                   result.title === "Asana Project" ||
                   result.title === "Redirecting") {
                 
-                console.log(`Got generic Asana title "${result.title}", using fallback with task ID`);
-                const fallbackTitle = `Asana Task ${taskId}`;
-                
-                // Cache the fallback title
-                titleCache[url] = {
-                  title: fallbackTitle,
-                  issueType: "AsanaTask"
-                };
-                
-                sendResponse({ 
-                  title: fallbackTitle, 
-                  issueType: "AsanaTask" 
-                });
+                // Nothing better than the placeholder the link already shows
+                console.log(`Got generic Asana title "${result.title}", keeping the placeholder`);
                 return;
               }
               
               // Cache the title
-              titleCache[url] = {
+              setCachedTitle(url, {
                 title: result.title,
                 issueType: result.issueType
-              };
+              });
               
               // Notify the content script about the new title
-              chrome.tabs.query({}, tabs => {
-                tabs.forEach(tab => {
-                  try {
-                    chrome.tabs.sendMessage(tab.id, {
-                      action: 'titleUpdated',
-                      url: url,
-                      title: result.title,
-                      issueType: result.issueType
-                    });
-                  } catch (error) {
-                    // Ignore errors when sending messages to tabs that don't have our content script
-                    console.log(`Error sending message to tab ${tab.id}: ${error.message}`);
-                  }
-                });
+              broadcastTitleUpdate(url, {
+                title: result.title,
+                issueType: result.issueType
               });
             }
           });
@@ -761,7 +1328,8 @@ function openAuthTab(url, taskId, service = 'asana') {
   
   return { 
     title: `${service.charAt(0).toUpperCase() + service.slice(1)} Task ${taskId}`, 
-    issueType: `${service}Task`
+    issueType: `${service}Task`,
+    fallback: true
   };
 }
 
@@ -776,7 +1344,7 @@ function cleanIncorrectTitlesInCache() {
          titleCache[url].title.includes("Issue Search"))) {
       
       debugLog(`Clearing incorrect title for ${url}: "${titleCache[url].title}"`);
-      delete titleCache[url];
+      deleteCachedTitle(url);
       count++;
     }
   }
@@ -799,7 +1367,7 @@ function cleanIncorrectAsanaTitlesInCache() {
          titleCache[url].title === "Redirecting")) {
       
       console.log(`Clearing incorrect Asana title for ${url}: "${titleCache[url].title}"`);
-      delete titleCache[url];
+      deleteCachedTitle(url);
       count++;
     }
   }
@@ -809,250 +1377,2202 @@ function cleanIncorrectAsanaTitlesInCache() {
   }
 }
 
-// Run both cleanup functions on initialization
-cleanIncorrectTitlesInCache();
-cleanIncorrectAsanaTitlesInCache();
+// Confluence page URLs: /wiki/spaces/KEY/pages/ID, blog posts, /wiki/x/TINY and viewpage.action?pageId=ID
+const CONFLUENCE_PATH_REGEX = /\/(?:spaces\/[^\/\s?#]+\/(?:pages|blog(?:\/\d{4}\/\d{2}\/\d{2})?)\/(\d+)|x\/([A-Za-z0-9_-]+)|pages\/viewpage\.action\?(?:[^\s#]*&)?pageId=(\d+))/;
 
-// Listen for messages from content scripts
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'fetchAsanaTitle') {
-    // Sanitize the URL by removing newlines
-    const url = request.url ? request.url.replace(/\r?\n/g, '') : request.url;
-    let taskId = request.taskId;
-    const forceRefresh = request.forceRefresh || FORCE_REFRESH;
-    
-    console.log(`Received fetchAsanaTitle request for URL: ${url}`);
-    console.log(`Task ID provided: ${taskId}`);
-    
-    // Extract task ID from URL if not provided or invalid
-    let finalTaskId = taskId;
-    if (!finalTaskId || !/^\d+$/.test(finalTaskId)) {
-      finalTaskId = extractAsanaTaskIdFromUrl(url);
+// Helper function to check if a URL is a Confluence page on a host we can reach
+function isConfluenceUrl(url) {
+  if (!url || !CONFLUENCE_PATH_REGEX.test(url)) return false;
+  
+  try {
+    const urlObj = new URL(url);
+    if (urlObj.hostname.endsWith('.atlassian.net')) return true;
+    
+    // Confluence often lives next to a self-hosted Jira, e.g. example.com/jira and example.com/wiki
+    const originPattern = `${urlObj.origin}/*`;
+    return extensionSettings.jiraInstances.some(instance => getOriginPattern(instance.baseUrl) === originPattern);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Helper function to get the Confluence base URL (e.g. https://x.atlassian.net/wiki)
+function getConfluenceBaseUrl(url) {
+  const match = url.match(CONFLUENCE_PATH_REGEX);
+  return match ? url.substring(0, match.index) : new URL(url).origin;
+}
+
+// Function to decode a Confluence tiny link ID (/x/TINY) into a page ID
+// The tiny ID is the page ID's little-endian bytes, base64 encoded with URL-safe characters
+function decodeConfluenceTinyId(tinyId) {
+  try {
+    let base64 = tinyId.replace(/-/g, '/').replace(/_/g, '+');
+    // Trailing zero bytes are trimmed from tiny IDs; 'A' is a zero in base64
+    while (base64.length % 4 !== 0) {
+      base64 += 'A';
     }
     
-    if (!finalTaskId) {
-      console.log(`Could not extract task ID from URL: ${url}`);
-      sendResponse({
-        title: "Asana Task",
-        issueType: "AsanaTask"
-      });
-      return true;
+    const bytes = atob(base64);
+    let pageId = 0n;
+    for (let i = bytes.length - 1; i >= 0; i--) {
+      pageId = (pageId << 8n) + BigInt(bytes.charCodeAt(i));
     }
     
-    // Check if we have a cached title and we're not forcing a refresh
-    if (titleCache[url] && !forceRefresh) {
-      console.log(`Using cached Asana title for: ${url}`);
-      console.log(`Cached title: ${titleCache[url].title}`);
-      sendResponse({ 
-        title: titleCache[url].title, 
-        issueType: "AsanaTask" 
-      });
-      return true; // Keep the messaging channel open for async response
+    return pageId > 0n ? pageId.toString() : null;
+  } catch (e) {
+    debugLog(`Could not decode Confluence tiny link ${tinyId}: ${e.message}`);
+    return null;
+  }
+}
+
+// Function to get the page ID of a Confluence URL
+// Tiny links that can't be decoded are resolved by following their redirect
+async function getConfluencePageId(url) {
+  const match = url.match(CONFLUENCE_PATH_REGEX);
+  if (!match) return null;
+  
+  const pageId = match[1] || match[3];
+  if (pageId) return pageId;
+  
+  const decodedId = decodeConfluenceTinyId(match[2]);
+  if (decodedId) return decodedId;
+  
+  const response = await fetch(url, { credentials: 'include' });
+  const redirectMatch = response.url.match(CONFLUENCE_PATH_REGEX);
+  return redirectMatch ? (redirectMatch[1] || redirectMatch[3] || null) : null;
+}
+
+// Function to fetch a Confluence page's title and space via the REST API
+// Only opens a login tab when interactive, i.e. for a paste rather than a background refresh
+async function fetchConfluenceTitle(url, interactive = true) {
+  try {
+    const pageId = await getConfluencePageId(url);
+    if (!pageId) {
+      console.log('Could not extract Confluence page ID from URL:', url);
+      return { title: null, issueType: "Confluence Page" };
+    }
+    
+    const apiUrl = `${getConfluenceBaseUrl(url)}/rest/api/content/${pageId}?expand=space`;
+    debugLog(`Fetching Confluence page from ${apiUrl}`);
+    
+    const response = await fetch(apiUrl);
+    
+    if (response.status === 401 || response.status === 403) {
+      console.log('Not authenticated for Confluence API');
+      if (interactive) {
+        chrome.tabs.create({ url: url, active: false });
+      }
+      return { title: null, issueType: "Confluence Page" };
+    }
+    
+    if (!response.ok) {
+      console.log('Confluence API request failed with status:', response.status);
+      return { title: null, issueType: "Confluence Page" };
+    }
+    
+    const data = await response.json();
+    return {
+      title: data.title ? data.title.trim() : null,
+      issueType: data.type === 'blogpost' ? "Confluence Blog Post" : "Confluence Page",
+      spaceKey: data.space?.key || null,
+      spaceName: data.space?.name || null
+    };
+  } catch (error) {
+    console.error('Error fetching Confluence title:', error);
+    return { title: null, issueType: "Confluence Page" };
+  }
+}
+
+// Function to check a cached Confluence title against the server and broadcast it if it changed
+async function revalidateConfluenceTitle(url) {
+  const entry = titleCache[url];
+  const result = await fetchConfluenceTitle(url, false);
+  if (!result.title) return;
+  
+  setCachedTitle(url, result);
+  
+  if (!entry || entry.title !== result.title || entry.spaceName !== result.spaceName) {
+    console.log(`Confluence title changed for ${url}: "${result.title}"`);
+    broadcastTitleUpdate(url, result);
+  }
+}
+
+// Jira Service Management customer portal request URLs
+const SERVICE_DESK_PORTAL_REGEX = /\/servicedesk\/customer\/portal\/\d+\/[A-Z][A-Z0-9_]*-\d+/i;
+
+// Helper function to check if a URL is a JSM customer portal request on a Jira host we know
+function isServiceDeskUrl(url) {
+  return !!url && SERVICE_DESK_PORTAL_REGEX.test(url) && isJiraHostUrl(url);
+}
+
+// Helper function to get the Jira base URL for a customer portal URL
+function getServiceDeskBaseUrl(url) {
+  const instance = findJiraInstance(url, extensionSettings.jiraInstances);
+  if (instance) return instance.baseUrl;
+  return url.split('/servicedesk/')[0];
+}
+
+// Function to fetch a JSM request through the service desk API
+// Customers can read requests there even without access to the underlying Jira issue
+async function fetchServiceDeskRequest(url) {
+  const issueKey = extractJiraIssueKeyFromUrl(url);
+  if (!issueKey) return { issueKey: null, response: null };
+  
+  const apiUrl = `${getServiceDeskBaseUrl(url)}/rest/servicedeskapi/request/${issueKey}?expand=requestType`;
+  debugLog(`Fetching JSM request from ${apiUrl}`);
+  
+  const response = await fetch(apiUrl, {
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+  return { issueKey, response };
+}
+
+// Helper function to read a field such as the customer-visible summary from a JSM request
+function getServiceDeskFieldValue(data, fieldId) {
+  const field = (data.requestFieldValues || []).find(fieldValue => fieldValue.fieldId === fieldId);
+  return field && typeof field.value === 'string' ? field.value : null;
+}
+
+// Function to fetch a JSM request's summary, request type and status
+// Only opens a login tab when interactive, i.e. for a paste rather than a background refresh
+async function fetchServiceDeskTitle(url, interactive = true) {
+  try {
+    const { issueKey, response } = await fetchServiceDeskRequest(url);
+    if (!issueKey) {
+      console.log('Could not extract request key from URL:', url);
+      return { title: null, issueType: "ServiceDeskRequest" };
+    }
+    
+    if (response.status === 401 || response.status === 403) {
+      console.log('Not authenticated for the service desk API');
+      if (interactive) {
+        chrome.tabs.create({ url: url, active: false });
+      }
+      return { title: null, issueType: "ServiceDeskRequest", issueKey };
+    }
+    
+    if (!response.ok) {
+      console.log('Service desk API request failed with status:', response.status);
+      return { title: null, issueType: "ServiceDeskRequest", issueKey };
+    }
+    
+    const data = await response.json();
+    const summary = getServiceDeskFieldValue(data, 'summary');
+    
+    return {
+      title: summary ? summary.trim() : null,
+      issueType: "ServiceDeskRequest",
+      issueKey: data.issueKey || issueKey,
+      requestType: data.requestType?.name || null,
+      status: data.currentStatus?.status || null,
+      statusCategory: data.currentStatus?.statusCategory 
+        ? getJiraStatusCategory({ key: data.currentStatus.statusCategory.toLowerCase() }) 
+        : null
+    };
+  } catch (error) {
+    console.error('Error fetching JSM request:', error);
+    return { title: null, issueType: "ServiceDeskRequest" };
+  }
+}
+
+// Function to check a cached JSM request against the server and broadcast it if it changed
+async function revalidateServiceDeskTitle(url) {
+  const entry = titleCache[url];
+  const result = await fetchServiceDeskTitle(url, false);
+  if (!result.title) return;
+  
+  setCachedTitle(url, result);
+  
+  if (!entry || entry.title !== result.title || entry.status !== result.status) {
+    console.log(`JSM request changed for ${url}: "${result.title}"`);
+    broadcastTitleUpdate(url, result);
+  }
+}
+
+// Function to fetch the extra fields shown in a JSM request hover card
+async function fetchServiceDeskLinkDetails(url) {
+  const { issueKey, response } = await fetchServiceDeskRequest(url);
+  if (!issueKey) return { error: 'notFound' };
+  
+  if (response.status === 401 || response.status === 403) {
+    return { error: 'auth' };
+  }
+  if (!response.ok) {
+    return { error: response.status === 404 ? 'notFound' : 'failed' };
+  }
+  
+  const data = await response.json();
+  
+  return {
+    provider: 'servicedesk',
+    key: data.issueKey || issueKey,
+    summary: getServiceDeskFieldValue(data, 'summary'),
+    issueType: data.requestType?.name || 'Request',
+    status: data.currentStatus?.status || null,
+    statusCategory: null,
+    priority: null,
+    assignee: null,
+    reporter: data.reporter?.displayName || null,
+    dueDate: null,
+    updated: data.currentStatus?.statusDate?.iso8601 || null,
+    description: getServiceDeskFieldValue(data, 'description')
+  };
+}
+
+// Jira board and backlog URLs: /jira/software/(c/)projects/ABC/boards/42(/backlog) and Server's RapidBoard.jspa
+const JIRA_BOARD_PATH_REGEX = /\/(?:jira\/software\/(?:c\/)?projects\/([A-Z][A-Z0-9_]*)\/boards\/(\d+)(?:\/([a-z]+))?|secure\/RapidBoard\.jspa\?(?:[^#\s]*&)?rapidView=(\d+))/i;
+// Jira issue search URLs with a saved filter or a JQL query: /issues/?filter=10231, /issues/?jql=...
+const JIRA_SEARCH_PATH_REGEX = /\/issues\/?\?(?:[^#\s]*&)?(filter|jql)=([^&#\s]+)/i;
+
+// Helper function to work out what a Jira board, backlog or search URL points at
+function parseJiraViewUrl(url) {
+  if (!url || !isJiraHostUrl(url) || /[?&]selectedIssue=/i.test(url)) return null;
+  
+  const boardMatch = url.match(JIRA_BOARD_PATH_REGEX);
+  if (boardMatch) {
+    const isBacklog = boardMatch[3] === 'backlog' || /[?&]view=planning/i.test(url);
+    return {
+      kind: 'board',
+      boardId: boardMatch[2] || boardMatch[4],
+      projectKey: boardMatch[1] || null,
+      view: isBacklog ? 'backlog' : 'board',
+      baseUrl: getJiraViewBaseUrl(url, boardMatch.index)
+    };
+  }
+  
+  const searchMatch = url.match(JIRA_SEARCH_PATH_REGEX);
+  if (searchMatch) {
+    const value = decodeURIComponent(searchMatch[2].replace(/\+/g, ' '));
+    if (searchMatch[1].toLowerCase() === 'filter' && !/^\d+$/.test(value)) return null;
+    
+    return {
+      kind: searchMatch[1].toLowerCase(),
+      filterId: searchMatch[1].toLowerCase() === 'filter' ? value : null,
+      jql: searchMatch[1].toLowerCase() === 'jql' ? value : null,
+      baseUrl: getJiraViewBaseUrl(url, searchMatch.index)
+    };
+  }
+  
+  return null;
+}
+
+// Helper function to get the Jira base URL for a board or search URL
+// pathIndex is where the board/search part of the path starts
+function getJiraViewBaseUrl(url, pathIndex) {
+  const instance = findJiraInstance(url, extensionSettings.jiraInstances);
+  if (instance) return instance.baseUrl;
+  
+  // Cloud's /jira/software/c/projects/ABC/issues/?filter=... still lives at the site root
+  const base = url.substring(0, pathIndex);
+  return base.split('/jira/software/')[0];
+}
+
+// Helper function to count the issues a JQL query matches without fetching them
+async function countJiraIssues(baseUrl, jql) {
+  const apiUrl = `${baseUrl}/rest/api/2/search?jql=${encodeURIComponent(jql)}&maxResults=0`;
+  const response = await fetch(apiUrl);
+  if (!response.ok) return null;
+  
+  const data = await response.json();
+  return typeof data.total === 'number' ? data.total : null;
+}
+
+// Helper function to format an issue count for display, e.g. "23 issues"
+function formatIssueCount(count) {
+  if (count === null || count === undefined) return null;
+  return `${count} ${count === 1 ? 'issue' : 'issues'}`;
+}
+
+// Function to fetch the name of a board and its active sprint(s) from the agile API
+async function fetchJiraBoardTitle(view) {
+  const boardResponse = await fetch(`${view.baseUrl}/rest/agile/1.0/board/${view.boardId}`);
+  if (!boardResponse.ok) return { status: boardResponse.status };
+  
+  const board = await boardResponse.json();
+  const viewName = board.name || `Board ${view.boardId}`;
+  
+  let viewDetail = null;
+  if (view.view === 'backlog') {
+    viewDetail = 'Backlog';
+  } else if (board.type === 'scrum') {
+    // Kanban boards have no sprints, so only ask scrum boards
+    const sprintResponse = await fetch(`${view.baseUrl}/rest/agile/1.0/board/${view.boardId}/sprint?state=active`);
+    if (sprintResponse.ok) {
+      const sprints = await sprintResponse.json();
+      const names = (sprints.values || []).map(sprint => sprint.name).filter(Boolean);
+      viewDetail = names.length > 0 ? names.join(', ') : null;
+    }
+  }
+  
+  return {
+    title: viewDetail ? `${viewName}: ${viewDetail}` : viewName,
+    issueType: "JiraBoard",
+    viewName,
+    viewDetail
+  };
+}
+
+// Function to fetch the name of a saved filter and how many issues it matches
+async function fetchJiraFilterTitle(view) {
+  const filterResponse = await fetch(`${view.baseUrl}/rest/api/2/filter/${view.filterId}`);
+  if (!filterResponse.ok) return { status: filterResponse.status };
+  
+  const filter = await filterResponse.json();
+  const count = filter.jql ? await countJiraIssues(view.baseUrl, filter.jql) : null;
+  const name = filter.name || `Filter ${view.filterId}`;
+  const viewDetail = count !== null ? `${name} (${formatIssueCount(count)})` : name;
+  
+  return {
+    title: `Filter: ${viewDetail}`,
+    issueType: "JiraFilter",
+    viewName: 'Filter',
+    viewDetail,
+    issueCount: count
+  };
+}
+
+// JQL longer than this is shortened in link text
+const JIRA_JQL_DISPLAY_LENGTH = 80;
+
+// Function to describe a JQL search and count the issues it matches
+async function fetchJiraSearchTitle(view) {
+  const count = await countJiraIssues(view.baseUrl, view.jql);
+  const jql = view.jql.length > JIRA_JQL_DISPLAY_LENGTH 
+    ? `${view.jql.substring(0, JIRA_JQL_DISPLAY_LENGTH - 1).trim()}…` 
+    : view.jql;
+  const viewDetail = count !== null ? `${jql} (${formatIssueCount(count)})` : jql;
+  
+  return {
+    title: `JQL: ${viewDetail}`,
+    issueType: "JiraSearch",
+    viewName: 'JQL',
+    viewDetail,
+    issueCount: count
+  };
+}
+
+// Function to fetch the title of a Jira board, backlog, filter or JQL search URL
+// Only opens a login tab when interactive, i.e. for a paste rather than a background refresh
+async function fetchJiraViewTitle(url, interactive = true) {
+  try {
+    const view = parseJiraViewUrl(url);
+    if (!view) {
+      return { title: null, issueType: "Unknown" };
+    }
+    
+    let result;
+    if (view.kind === 'board') {
+      result = await fetchJiraBoardTitle(view);
+    } else if (view.kind === 'filter') {
+      result = await fetchJiraFilterTitle(view);
+    } else {
+      result = await fetchJiraSearchTitle(view);
+    }
+    
+    if (result.status === 401 || result.status === 403) {
+      console.log('Not authenticated for the Jira board/filter API');
+      if (interactive) {
+        chrome.tabs.create({ url: url, active: false });
+      }
+      return { title: null, issueType: "Unknown" };
+    }
+    
+    if (!result.title) {
+      console.log(`Jira ${view.kind} request failed with status: ${result.status}`);
+      return { title: null, issueType: "Unknown" };
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error fetching Jira board/filter title:', error);
+    return { title: null, issueType: "Unknown" };
+  }
+}
+
+// Function to check a cached board/filter title against the server and broadcast it if it changed
+// Sprints roll over and filter counts move all the time, so these change far more than issue titles
+async function revalidateJiraViewTitle(url) {
+  const entry = titleCache[url];
+  const result = await fetchJiraViewTitle(url, false);
+  if (!result.title) return;
+  
+  setCachedTitle(url, result);
+  
+  if (!entry || entry.title !== result.title) {
+    console.log(`Jira board/filter title changed for ${url}: "${result.title}"`);
+    broadcastTitleUpdate(url, result);
+  }
+}
+
+// Status categories for GitHub states, so the status badge works like it does for Jira
+const GITHUB_STATUS_CATEGORIES = {
+  draft: 'To Do',
+  open: 'In Progress',
+  merged: 'Done',
+  closed: 'Done'
+};
+
+// Function to call the GitHub REST API for a pull request, issue or commit
+// The token from the options page is only sent when one is set; public repositories work without it
+function fetchGitHubObject(githubLink, etag = null) {
+  const endpoints = {
+    pull: 'pulls',
+    issue: 'issues',
+    commit: 'commits'
+  };
+  const apiUrl = `https://api.github.com/repos/${githubLink.owner}/${githubLink.repo}/${endpoints[githubLink.kind]}/${githubLink.id}`;
+  debugLog(`Fetching GitHub ${githubLink.kind} from ${apiUrl}`);
+  
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+  const token = (extensionCredentials.githubToken || '').trim();
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  if (etag) {
+    headers['If-None-Match'] = etag;
+  }
+  
+  return fetch(apiUrl, { headers });
+}
+
+// Helper function to get the state shown for a GitHub pull request or issue: open, draft, merged or closed
+// The issues endpoint also returns pull requests, with pull_request.merged_at set once merged
+function getGitHubState(data) {
+  if (data.merged_at || data.pull_request?.merged_at) return 'merged';
+  if (data.state === 'open' && data.draft) return 'draft';
+  return data.state || null;
+}
+
+// Helper function to check whether a failed GitHub request is most likely a missing or invalid token
+// GitHub answers 404 rather than 403 for private repositories without access
+function isGitHubAuthError(response) {
+  if (response.status === 401) return true;
+  if (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0') return false;
+  return (response.status === 403 || response.status === 404) && !(extensionCredentials.githubToken || '').trim();
+}
+
+// Function to fetch a GitHub pull request, issue or commit title and state
+// Returns { notModified: true } when the ETag still matches
+async function fetchGitHubTitle(url, etag = null) {
+  const githubLink = parseGitHubUrl(url);
+  if (!githubLink) {
+    console.log('Could not parse GitHub URL:', url);
+    return { title: null, issueType: "GitHubIssue" };
+  }
+  
+  const issueType = GITHUB_ISSUE_TYPES[githubLink.kind];
+  const key = getGitHubLinkKey(githubLink);
+  
+  try {
+    const response = await fetchGitHubObject(githubLink, etag);
+    
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    
+    if (!response.ok) {
+      if (isGitHubAuthError(response)) {
+        console.log('GitHub request was refused - private repositories need a personal access token in the options');
+      } else {
+        console.log('GitHub API request failed with status:', response.status);
+      }
+      return { title: null, issueType, key };
+    }
+    
+    const data = await response.json();
+    
+    if (githubLink.kind === 'commit') {
+      // The first line of the commit message is its title
+      const message = data.commit?.message || '';
+      return {
+        title: message.split('\n')[0].trim() || null,
+        issueType,
+        key,
+        repo: `${githubLink.owner}/${githubLink.repo}`,
+        status: null,
+        assignee: data.author?.login || data.commit?.author?.name || null,
+        etag: response.headers.get('ETag')
+      };
+    }
+    
+    const state = getGitHubState(data);
+    return {
+      title: data.title ? data.title.trim() : null,
+      // An /issues/ URL may well be a pull request
+      issueType: data.pull_request ? "GitHubPullRequest" : issueType,
+      key,
+      repo: `${githubLink.owner}/${githubLink.repo}`,
+      status: state,
+      statusCategory: GITHUB_STATUS_CATEGORIES[state] || null,
+      assignee: data.assignee?.login || null,
+      etag: response.headers.get('ETag')
+    };
+  } catch (error) {
+    console.error('Error fetching GitHub title:', error);
+    return { title: null, issueType, key };
+  }
+}
+
+// Function to check a cached GitHub title against the server and broadcast it if it changed
+// Conditional requests that come back 304 don't count against GitHub's rate limit
+async function revalidateGitHubTitle(url) {
+  const entry = titleCache[url];
+  const result = await fetchGitHubTitle(url, entry ? entry.etag : null);
+  
+  if (result.notModified) {
+    // Still current - just restart the refresh interval
+    setCachedTitle(url, entry);
+    return;
+  }
+  if (!result.title) return;
+  
+  setCachedTitle(url, result);
+  
+  if (!entry || entry.title !== result.title || entry.status !== result.status || entry.assignee !== result.assignee) {
+    console.log(`GitHub ${result.issueType} changed for ${url}: "${result.title}" [${result.status}]`);
+    broadcastTitleUpdate(url, result);
+  }
+}
+
+// Function to fetch the extra fields shown in a GitHub hover card
+async function fetchGitHubLinkDetails(url) {
+  const githubLink = parseGitHubUrl(url);
+  if (!githubLink) return { error: 'notFound' };
+  
+  const response = await fetchGitHubObject(githubLink);
+  if (!response.ok) {
+    if (isGitHubAuthError(response)) return { error: 'auth' };
+    return { error: response.status === 404 ? 'notFound' : 'failed' };
+  }
+  
+  const data = await response.json();
+  
+  if (githubLink.kind === 'commit') {
+    const message = data.commit?.message || '';
+    const [subject, ...body] = message.split('\n');
+    return {
+      provider: 'github',
+      key: getGitHubLinkKey(githubLink),
+      summary: subject.trim() || null,
+      issueType: 'Commit',
+      status: null,
+      statusCategory: null,
+      priority: null,
+      assignee: null,
+      reporter: data.author?.login || data.commit?.author?.name || null,
+      dueDate: null,
+      updated: data.commit?.committer?.date || null,
+      description: body.join('\n').trim() || null
+    };
+  }
+  
+  const state = getGitHubState(data);
+  return {
+    provider: 'github',
+    key: getGitHubLinkKey(githubLink),
+    summary: data.title || null,
+    issueType: data.pull_request || githubLink.kind === 'pull' ? 'Pull request' : 'Issue',
+    status: state,
+    statusCategory: GITHUB_STATUS_CATEGORIES[state] || null,
+    priority: null,
+    assignee: (data.assignees || []).map(assignee => assignee.login).join(', ') || null,
+    reporter: data.user?.login || null,
+    dueDate: data.milestone?.due_on || null,
+    updated: data.updated_at || null,
+    description: data.body || null
+  };
+}
+
+// Status categories for Linear workflow state types, so the status badge works like it does for Jira
+const LINEAR_STATUS_CATEGORIES = {
+  triage: 'To Do',
+  backlog: 'To Do',
+  unstarted: 'To Do',
+  started: 'In Progress',
+  completed: 'Done',
+  canceled: 'Done'
+};
+
+// GraphQL query for everything shown about a Linear issue, in link text and hover cards
+// issue(id:) accepts the issue identifier (ENG-123) as well as its UUID
+const LINEAR_ISSUE_QUERY = `query LinkBeautifierIssue($id: String!) {
+  issue(id: $id) {
+    identifier
+    title
+    description
+    priority
+    priorityLabel
+    dueDate
+    updatedAt
+    state { name type }
+    assignee { displayName }
+    creator { displayName }
+    parent { identifier title }
+    labels(first: 1) { nodes { name } }
+  }
+}`;
+
+// Function to look up a Linear issue through Linear's GraphQL API
+// Returns { issue } or { error: 'auth'|'notFound'|'failed' }; without an API key nothing is sent
+async function fetchLinearIssue(issueKey) {
+  const apiKey = (extensionCredentials.linearApiKey || '').trim();
+  if (!apiKey) {
+    return { error: 'auth' };
+  }
+  
+  debugLog(`Fetching Linear issue ${issueKey}`);
+  const response = await fetch('https://api.linear.app/graphql', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      // Personal API keys go in as they are, without "Bearer"
+      'Authorization': apiKey
+    },
+    body: JSON.stringify({ query: LINEAR_ISSUE_QUERY, variables: { id: issueKey } })
+  });
+  
+  // GraphQL errors (a bad key, an unknown issue) usually come with a JSON body, whatever the status
+  const data = await response.json().catch(() => null);
+  const error = data && data.errors && data.errors[0];
+  if (response.status === 401 || (error && /auth/i.test(`${error.extensions?.code} ${error.extensions?.type} ${error.message}`))) {
+    return { error: 'auth' };
+  }
+  if (error || (data && !data.data?.issue)) {
+    return { error: 'notFound' };
+  }
+  if (!response.ok || !data) {
+    return { error: 'failed' };
+  }
+  
+  return { issue: data.data.issue };
+}
+
+// Function to turn a Linear issue into the data cached for its link
+// Linear has no issue types, so the first label stands in for one (it picks the icon, e.g. "Bug")
+function parseLinearIssueData(issue) {
+  return {
+    title: issue.title ? issue.title.trim() : null,
+    issueType: "LinearIssue",
+    key: issue.identifier,
+    type: issue.labels?.nodes?.[0]?.name || null,
+    status: issue.state?.name || null,
+    statusCategory: LINEAR_STATUS_CATEGORIES[issue.state?.type] || null,
+    // Priority 0 is "No priority"
+    priority: issue.priority ? issue.priorityLabel : null,
+    assignee: issue.assignee?.displayName || null
+  };
+}
+
+// Function to fetch a Linear issue title, status and priority
+async function fetchLinearTitle(url) {
+  const linearLink = parseLinearUrl(url);
+  if (!linearLink) {
+    console.log('Could not parse Linear URL:', url);
+    return { title: null, issueType: "LinearIssue" };
+  }
+  
+  try {
+    const result = await fetchLinearIssue(linearLink.key);
+    
+    if (result.error === 'auth') {
+      console.log('Linear issues need a valid personal API key in the options');
+      return { title: null, issueType: "LinearIssue", key: linearLink.key };
     }
+    if (result.error) {
+      console.log(`Linear issue ${linearLink.key} could not be fetched: ${result.error}`);
+      return { title: null, issueType: "LinearIssue", key: linearLink.key };
+    }
+    
+    return parseLinearIssueData(result.issue);
+  } catch (error) {
+    console.error('Error fetching Linear title:', error);
+    return { title: null, issueType: "LinearIssue", key: linearLink.key };
+  }
+}
+
+// Function to check a cached Linear issue against the server and broadcast it if it changed
+async function revalidateLinearTitle(url) {
+  const entry = titleCache[url];
+  const result = await fetchLinearTitle(url);
+  if (!result.title) return;
+  
+  setCachedTitle(url, result);
+  
+  if (!entry || entry.title !== result.title || entry.status !== result.status || 
+      entry.priority !== result.priority || entry.assignee !== result.assignee) {
+    console.log(`Linear issue changed for ${url}: "${result.title}" [${result.status}]`);
+    broadcastTitleUpdate(url, result);
+  }
+}
+
+// Function to fetch the extra fields shown in a Linear issue hover card
+async function fetchLinearLinkDetails(url) {
+  const linearLink = parseLinearUrl(url);
+  if (!linearLink) return { error: 'notFound' };
+  
+  const result = await fetchLinearIssue(linearLink.key);
+  if (result.error) return { error: result.error };
+  
+  const { issue } = result;
+  const data = parseLinearIssueData(issue);
+  return {
+    provider: 'linear',
+    key: data.key,
+    summary: data.title,
+    issueType: data.type || 'Issue',
+    parent: issue.parent ? `${issue.parent.identifier}: ${issue.parent.title}` : null,
+    status: data.status,
+    statusCategory: data.statusCategory,
+    priority: data.priority,
+    assignee: data.assignee,
+    reporter: issue.creator?.displayName || null,
+    dueDate: issue.dueDate || null,
+    updated: issue.updatedAt || null,
+    description: issue.description || null
+  };
+}
+
+// Status categories for GitLab states, so the status badge works like it does for Jira
+const GITLAB_STATUS_CATEGORIES = {
+  draft: 'To Do',
+  open: 'In Progress',
+  merged: 'Done',
+  closed: 'Done',
+  locked: 'Done'
+};
+
+// Function to call the GitLab v4 API for a merge request, issue or project
+// The instance's token is only sent when one is set; public projects work without it
+function fetchGitLabObject(gitlabLink) {
+  const endpoints = {
+    merge_request: `/merge_requests/${gitlabLink.id}`,
+    issue: `/issues/${gitlabLink.id}`,
+    project: ''
+  };
+  const apiUrl = `${gitlabLink.baseUrl}/api/v4/projects/${encodeURIComponent(gitlabLink.project)}${endpoints[gitlabLink.kind]}`;
+  debugLog(`Fetching GitLab ${gitlabLink.kind} from ${apiUrl}`);
+  
+  const headers = { 'Accept': 'application/json' };
+  const token = getGitLabToken(gitlabLink);
+  if (token) {
+    headers['PRIVATE-TOKEN'] = token;
+  }
+  
+  return fetch(apiUrl, { headers });
+}
+
+// Helper function to get the personal access token configured for a GitLab link's instance, if any
+function getGitLabToken(gitlabLink) {
+  const instance = findGitLabInstance(gitlabLink.baseUrl, extensionSettings.gitlabInstances);
+  return ((instance && extensionCredentials.gitlabTokens[instance.baseUrl]) || '').trim();
+}
+
+// Helper function to get the state shown for a GitLab merge request or issue: open, draft, merged, closed or locked
+function getGitLabState(data) {
+  if (data.state === 'opened') {
+    return data.draft || data.work_in_progress ? 'draft' : 'open';
+  }
+  return data.state || null;
+}
+
+// Helper function to check whether a failed GitLab request is most likely a missing or invalid token
+// GitLab answers 404 rather than 403 for private projects without access
+function isGitLabAuthError(response, gitlabLink) {
+  if (response.status === 401) return true;
+  return (response.status === 403 || response.status === 404) && !getGitLabToken(gitlabLink);
+}
+
+// Function to fetch a GitLab merge request, issue or project title and state
+async function fetchGitLabTitle(url) {
+  const gitlabLink = parseGitLabUrl(url, extensionSettings.gitlabInstances);
+  if (!gitlabLink) {
+    console.log('Could not parse GitLab URL:', url);
+    return { title: null, issueType: "GitLabIssue" };
+  }
+  
+  const issueType = GITLAB_ISSUE_TYPES[gitlabLink.kind];
+  const key = getGitLabLinkKey(gitlabLink);
+  
+  try {
+    const response = await fetchGitLabObject(gitlabLink);
+    
+    if (!response.ok) {
+      if (isGitLabAuthError(response, gitlabLink)) {
+        console.log(`GitLab request to ${gitlabLink.baseUrl} was refused - private projects need a personal access token in the options`);
+      } else {
+        console.log('GitLab API request failed with status:', response.status);
+      }
+      return { title: null, issueType, key };
+    }
+    
+    const data = await response.json();
+    
+    if (gitlabLink.kind === 'project') {
+      return {
+        title: data.name_with_namespace || data.name || null,
+        issueType,
+        key: data.path_with_namespace || key,
+        status: null,
+        assignee: null
+      };
+    }
+    
+    const state = getGitLabState(data);
+    return {
+      title: data.title ? data.title.trim() : null,
+      issueType,
+      key,
+      project: gitlabLink.project,
+      status: state,
+      statusCategory: GITLAB_STATUS_CATEGORIES[state] || null,
+      assignee: data.assignee?.name || null
+    };
+  } catch (error) {
+    console.error('Error fetching GitLab title:', error);
+    return { title: null, issueType, key };
+  }
+}
+
+// Function to check a cached GitLab title against the server and broadcast it if it changed
+async function revalidateGitLabTitle(url) {
+  const entry = titleCache[url];
+  const result = await fetchGitLabTitle(url);
+  if (!result.title) return;
+  
+  setCachedTitle(url, result);
+  
+  if (!entry || entry.title !== result.title || entry.status !== result.status || entry.assignee !== result.assignee) {
+    console.log(`GitLab ${result.issueType} changed for ${url}: "${result.title}" [${result.status}]`);
+    broadcastTitleUpdate(url, result);
+  }
+}
+
+// Function to fetch the extra fields shown in a GitLab hover card
+async function fetchGitLabLinkDetails(url) {
+  const gitlabLink = parseGitLabUrl(url, extensionSettings.gitlabInstances);
+  if (!gitlabLink) return { error: 'notFound' };
+  
+  const response = await fetchGitLabObject(gitlabLink);
+  if (!response.ok) {
+    if (isGitLabAuthError(response, gitlabLink)) return { error: 'auth' };
+    return { error: response.status === 404 ? 'notFound' : 'failed' };
+  }
+  
+  const data = await response.json();
+  
+  if (gitlabLink.kind === 'project') {
+    return {
+      provider: 'gitlab',
+      key: null,
+      summary: data.name_with_namespace || data.name || null,
+      issueType: 'Project',
+      status: data.archived ? 'Archived' : null,
+      statusCategory: null,
+      priority: null,
+      assignee: null,
+      reporter: null,
+      dueDate: null,
+      updated: data.last_activity_at || null,
+      description: data.description || null
+    };
+  }
+  
+  const state = getGitLabState(data);
+  return {
+    provider: 'gitlab',
+    key: getGitLabLinkKey(gitlabLink),
+    summary: data.title || null,
+    issueType: gitlabLink.kind === 'merge_request' ? 'Merge request' : 'Issue',
+    status: state,
+    statusCategory: GITLAB_STATUS_CATEGORIES[state] || null,
+    priority: null,
+    assignee: (data.assignees || []).map(assignee => assignee.name).join(', ') || null,
+    reporter: data.author?.name || null,
+    dueDate: data.due_date || data.milestone?.due_date || null,
+    updated: data.updated_at || null,
+    description: data.description || null
+  };
+}
+
+// Hover card details, kept in memory only - they go stale much faster than titles
+const linkDetailsCache = {}; // URL -> { details, fetchedAt }
+const LINK_DETAILS_TTL = 2 * 60 * 1000; // 2 minutes
+
+// Function to fetch the extra fields shown in a Jira hover card
+async function fetchJiraLinkDetails(url) {
+  const issueKey = extractIssueKeyFromUrl(url);
+  if (!issueKey) return { error: 'notFound' };
+  
+  const fields = 'summary,assignee,status,priority,issuetype,duedate,reporter,updated,description';
+  const apiUrl = `${getJiraBaseUrl(url)}/rest/api/2/issue/${issueKey}?fields=${fields}`;
+  debugLog(`Fetching Jira link details from ${apiUrl}`);
+  
+  const response = await fetch(apiUrl);
+  
+  // Don't open auth tabs for a hover - the card tells the user to log in instead
+  if (response.status === 401 || response.status === 403) {
+    return { error: 'auth' };
+  }
+  if (!response.ok) {
+    return { error: response.status === 404 ? 'notFound' : 'failed' };
+  }
+  
+  const data = await response.json();
+  const issueFields = data.fields || {};
+  
+  return {
+    provider: 'jira',
+    key: issueKey,
+    summary: issueFields.summary || null,
+    issueType: issueFields.issuetype?.name || null,
+    issueTypeIconUrl: issueFields.issuetype?.iconUrl || null,
+    status: issueFields.status?.name || null,
+    statusCategory: getJiraStatusCategory(issueFields.status?.statusCategory),
+    priority: issueFields.priority?.name || null,
+    assignee: issueFields.assignee?.displayName || null,
+    reporter: issueFields.reporter?.displayName || null,
+    dueDate: issueFields.duedate || null,
+    updated: issueFields.updated || null,
+    description: typeof issueFields.description === 'string' ? issueFields.description : null
+  };
+}
+
+// Function to fetch the extra fields shown in a hover card for an Asana project, portfolio, goal or conversation
+async function fetchAsanaObjectLinkDetails(asanaLink) {
+  const objectType = ASANA_OBJECT_TYPES[asanaLink.kind];
+  const optFields = `${objectType.optFields},owner.name,author.name,created_by.name,due_on,due_date,modified_at,notes,text`;
+  const apiUrl = `https://app.asana.com/api/1.0/${objectType.endpoint}/${asanaLink.id}?opt_fields=${optFields}`;
+  debugLog(`Fetching Asana ${asanaLink.kind} details from ${apiUrl}`);
+  
+  const response = await fetch(apiUrl, {
+    credentials: 'include', // Include cookies for authentication
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+  
+  if (response.status === 401 || response.status === 403) {
+    return { error: 'auth' };
+  }
+  if (!response.ok) {
+    return { error: response.status === 404 ? 'notFound' : 'failed' };
+  }
+  
+  const data = await response.json();
+  const object = data && data.data ? data.data : {};
+  const statusKey = object.status || object.status_type || object.current_status_update?.status_type || null;
+  
+  return {
+    provider: 'asana',
+    key: null,
+    summary: (object.name || object.title || '').trim() || null,
+    issueType: asanaLink.kind.charAt(0).toUpperCase() + asanaLink.kind.slice(1),
+    status: object.archived ? 'Archived' : (ASANA_STATUS_LABELS[statusKey] || null),
+    statusCategory: null,
+    priority: null,
+    assignee: object.owner?.name || null,
+    assigneeLabel: 'Owner',
+    reporter: object.author?.name || object.created_by?.name || null,
+    dueDate: object.due_on || object.due_date || null,
+    updated: object.modified_at || null,
+    description: object.notes || object.text || null
+  };
+}
+
+// Function to fetch the extra fields shown in an Asana hover card
+async function fetchAsanaLinkDetails(url) {
+  const asanaLink = classifyAsanaUrl(url);
+  if (asanaLink && asanaLink.kind !== 'task') {
+    return fetchAsanaObjectLinkDetails(asanaLink);
+  }
+  
+  const taskId = asanaLink ? asanaLink.id : extractAsanaTaskIdFromUrl(url);
+  if (!taskId) return { error: 'notFound' };
+  
+  const optFields = [
+    'name', 'completed', 'assignee.name', 'created_by.name', 'due_on', 'due_at',
+    'parent.name', 'modified_at', 'notes', 'resource_subtype', 'memberships.section.name',
+    'custom_fields.name', 'custom_fields.display_value'
+  ].join(',');
+  const apiUrl = `https://app.asana.com/api/1.0/tasks/${taskId}?opt_fields=${optFields}`;
+  debugLog(`Fetching Asana link details from ${apiUrl}`);
+  
+  const response = await fetch(apiUrl, {
+    credentials: 'include', // Include cookies for authentication
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+  
+  if (response.status === 401 || response.status === 403) {
+    return { error: 'auth' };
+  }
+  if (!response.ok) {
+    return { error: response.status === 404 ? 'notFound' : 'failed' };
+  }
+  
+  const data = await response.json();
+  const task = data && data.data ? data.data : {};
+  
+  // Asana has no built-in priority, but most workspaces add a "Priority" custom field
+  const priorityField = (task.custom_fields || []).find(field => 
+    field && field.name && field.name.toLowerCase() === 'priority'
+  );
+  
+  // Use the board column/section as the status for tasks that aren't completed yet
+  const section = (task.memberships || []).map(membership => membership.section?.name).find(Boolean);
+  
+  return {
+    provider: 'asana',
+    key: null,
+    summary: task.name ? task.name.trim() : null,
+    issueType: task.resource_subtype === 'milestone' ? 'Milestone' : 'Task',
+    status: task.completed ? 'Completed' : (section || 'Open'),
+    statusCategory: task.completed ? 'Done' : null,
+    priority: priorityField ? priorityField.display_value : null,
+    assignee: task.assignee?.name || null,
+    reporter: task.created_by?.name || null,
+    dueDate: task.due_at || task.due_on || null,
+    parent: task.parent?.name || null,
+    updated: task.modified_at || null,
+    description: task.notes || null
+  };
+}
+
+// Function to fetch the extra fields shown in a Confluence hover card
+async function fetchConfluenceLinkDetails(url) {
+  const pageId = await getConfluencePageId(url);
+  if (!pageId) return { error: 'notFound' };
+  
+  const apiUrl = `${getConfluenceBaseUrl(url)}/rest/api/content/${pageId}?expand=space,version,history`;
+  debugLog(`Fetching Confluence link details from ${apiUrl}`);
+  
+  const response = await fetch(apiUrl);
+  
+  if (response.status === 401 || response.status === 403) {
+    return { error: 'auth' };
+  }
+  if (!response.ok) {
+    return { error: response.status === 404 ? 'notFound' : 'failed' };
+  }
+  
+  const data = await response.json();
+  
+  return {
+    provider: 'confluence',
+    key: data.space?.name || null,
+    summary: data.title || null,
+    issueType: data.type === 'blogpost' ? 'Blog post' : 'Page',
+    status: null,
+    statusCategory: null,
+    priority: null,
+    assignee: null,
+    reporter: data.history?.createdBy?.displayName || null,
+    dueDate: null,
+    updated: data.version?.when || null,
+    description: null
+  };
+}
+
+// Function to get hover card details for a link from its provider, using a short-lived cache
+async function fetchLinkDetails(url) {
+  const cached = linkDetailsCache[url];
+  if (cached && Date.now() - cached.fetchedAt < LINK_DETAILS_TTL) {
+    return cached.details;
+  }
+  
+  const provider = findLinkProvider(url);
+  if (!provider || !provider.fetchDetails) {
+    return { error: 'unsupported' };
+  }
+  
+  const details = await provider.fetchDetails(url);
+  
+  if (!details.error) {
+    linkDetailsCache[url] = { details, fetchedAt: Date.now() };
+  }
+  return details;
+}
+
+// URLs currently being revalidated, so overlapping requests from several tabs don't double up
+const revalidatingUrls = new Set();
+
+// Function to check a cached title against the server and broadcast it if it changed
+// Uses the issue's ETag when we have one, so unchanged issues cost a 304
+async function revalidateJiraTitle(url) {
+  const normalizedUrl = normalizeJiraUrl(url);
+  const entry = titleCache[url] || titleCache[normalizedUrl];
+  const issueKey = extractIssueKeyFromUrl(url);
+  if (!issueKey) return;
+  
+  const baseUrl = getJiraBaseUrl(url);
+  const sprintField = await getJiraSprintField(baseUrl);
+  const fields = ['summary', 'issuetype', 'status', 'assignee', sprintField].filter(Boolean).join(',');
+  const apiUrl = `${baseUrl}/rest/api/2/issue/${issueKey}?fields=${fields}`;
+  const headers = {};
+  if (entry && entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  
+  const response = await fetch(apiUrl, { headers });
+  
+  // Still valid - just restart its TTL
+  if (response.status === 304 && entry) {
+    debugLog(`Title for ${url} unchanged (304)`);
+    setCachedTitle(url, entry);
+    return;
+  }
+  
+  // Never open auth tabs from a background refresh - just try again later
+  if (!response.ok) {
+    debugLog(`Revalidation of ${url} failed with status ${response.status}`);
+    return;
+  }
+  
+  const result = parseJiraIssueData(await response.json(), url, issueKey, sprintField);
+  if (!result.title) return;
+  
+  const cacheData = {
+    title: result.title,
+    issueType: result.issueType,
+    status: result.status || null,
+    statusCategory: result.statusCategory || null,
+    assignee: result.assignee || null,
+    sprint: result.sprint || null,
+    issueTypeIconUrl: result.issueTypeIconUrl || null,
+    etag: response.headers.get('ETag') || null
+  };
+  setCachedTitle(url, cacheData);
+  if (normalizedUrl !== url) {
+    setCachedTitle(normalizedUrl, cacheData);
+  }
+  
+  const changed = !entry || 
+                  entry.title !== cacheData.title || 
+                  entry.issueType !== cacheData.issueType || 
+                  entry.status !== cacheData.status ||
+                  entry.assignee !== cacheData.assignee ||
+                  entry.sprint !== cacheData.sprint;
+  if (changed) {
+    console.log(`Title changed for ${url}: "${cacheData.title}"`);
+    broadcastTitleUpdate(url, {
+      title: cacheData.title,
+      issueType: cacheData.issueType,
+      status: cacheData.status,
+      statusCategory: cacheData.statusCategory,
+      assignee: cacheData.assignee,
+      sprint: cacheData.sprint,
+      issueTypeIconUrl: cacheData.issueTypeIconUrl
+    });
+  }
+}
+
+// Function to check a cached Asana task name against the server and broadcast it if it changed
+async function revalidateAsanaTitle(url) {
+  const entry = titleCache[url];
+  
+  const asanaLink = classifyAsanaUrl(url);
+  if (asanaLink && asanaLink.kind !== 'task') {
+    const result = await fetchAsanaObjectTitle(asanaLink);
+    if (!result.title) return;
+    
+    const cacheData = { title: result.title, issueType: result.issueType, status: result.status };
+    setCachedTitle(url, cacheData);
+    if (!entry || entry.title !== cacheData.title || entry.status !== cacheData.status) {
+      console.log(`Asana ${asanaLink.kind} title changed for ${url}: "${cacheData.title}"`);
+      broadcastTitleUpdate(url, cacheData);
+    }
+    return;
+  }
+  
+  const taskId = extractAsanaTaskIdFromUrl(url);
+  if (!taskId) return;
+  
+  const response = await fetch(`https://app.asana.com/api/1.0/tasks/${taskId}?opt_fields=${ASANA_TASK_OPT_FIELDS}`, {
+    credentials: 'include',
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+  
+  // Never open auth tabs from a background refresh - just try again later
+  if (!response.ok) {
+    debugLog(`Revalidation of ${url} failed with status ${response.status}`);
+    return;
+  }
+  
+  const data = await response.json();
+  if (!data || !data.data || !data.data.name) return;
+  const taskData = parseAsanaTaskData(data.data);
+  
+  setCachedTitle(url, { ...entry, ...taskData });
+  
+  // Completing a task or moving its due date changes the link as much as renaming it
+  const changed = !entry || ['title', 'assignee', 'completed', 'dueOn', 'dueAt', 'parentName']
+    .some(field => (entry[field] || null) !== (taskData[field] || null));
+  if (changed) {
+    console.log(`Asana task changed for ${url}: "${taskData.title}"`);
+    broadcastTitleUpdate(url, taskData);
+  }
+}
+
+// Registered link providers, checked in order - the first one whose matcher accepts a URL handles it.
+// A provider is { id, name, matches(url), extractId(url), titleAction, defaultIssueType } plus
+// fetchTitle(url) or handleTitleRequest(request, sendResponse) to answer titleAction messages, and
+// optionally revalidate(url) for live refresh and fetchDetails(url) for hover cards. The fetch
+// functions detect missing logins themselves (login tab, token hint) and return { title: null }.
+// describeLink(url, data) gives { icon, key, summary } for copying a link with its title
+const LINK_PROVIDERS = [];
+
+// Function to add a link provider; providers registered first win when several match a URL
+function registerLinkProvider(provider) {
+  LINK_PROVIDERS.push(provider);
+}
+
+// Helper function to find the provider that handles a URL
+function findLinkProvider(url) {
+  if (!url) return null;
+  return LINK_PROVIDERS.find(provider => provider.matches(url)) || null;
+}
+
+registerLinkProvider({
+  id: 'asana',
+  name: 'Asana',
+  matches: url => url.includes('app.asana.com'),
+  extractId: url => {
+    const asanaLink = classifyAsanaUrl(url);
+    return asanaLink ? asanaLink.id : null;
+  },
+  titleAction: 'fetchAsanaTitle',
+  defaultIssueType: "AsanaTask",
+  handleTitleRequest: handleAsanaTitleRequest,
+  revalidate: revalidateAsanaTitle,
+  fetchDetails: fetchAsanaLinkDetails,
+  describeLink: (url, data) => {
+    const asanaLink = classifyAsanaUrl(url);
+    return {
+      icon: data.completed ? ASANA_COMPLETED_ICON : ASANA_LINK_ICONS[asanaLink ? asanaLink.kind : 'task'],
+      key: null,
+      summary: data.title
+    };
+  }
+});
+
+registerLinkProvider({
+  id: 'github',
+  name: 'GitHub',
+  matches: url => !!parseGitHubUrl(url),
+  extractId: url => getGitHubLinkKey(parseGitHubUrl(url)),
+  titleAction: 'fetchGitHubTitle',
+  defaultIssueType: "GitHubIssue",
+  fetchTitle: fetchGitHubTitle,
+  revalidate: revalidateGitHubTitle,
+  fetchDetails: fetchGitHubLinkDetails,
+  describeLink: (url, data) => {
+    const githubLink = parseGitHubUrl(url);
+    const kind = data.issueType === "GitHubPullRequest" ? 'pull' : githubLink.kind;
+    return { icon: GITHUB_LINK_ICONS[kind], key: getGitHubLinkKey(githubLink), summary: data.title };
+  }
+});
+
+registerLinkProvider({
+  id: 'gitlab',
+  name: 'GitLab',
+  matches: url => !!parseGitLabUrl(url, extensionSettings.gitlabInstances),
+  extractId: url => getGitLabLinkKey(parseGitLabUrl(url, extensionSettings.gitlabInstances)),
+  titleAction: 'fetchGitLabTitle',
+  defaultIssueType: "GitLabIssue",
+  fetchTitle: fetchGitLabTitle,
+  revalidate: revalidateGitLabTitle,
+  fetchDetails: fetchGitLabLinkDetails,
+  describeLink: (url, data) => {
+    const gitlabLink = parseGitLabUrl(url, extensionSettings.gitlabInstances);
+    return {
+      icon: GITLAB_LINK_ICONS[gitlabLink.kind],
+      // A project's title already names it
+      key: gitlabLink.kind === 'project' ? null : getGitLabLinkKey(gitlabLink),
+      summary: data.title
+    };
+  }
+});
+
+registerLinkProvider({
+  id: 'linear',
+  name: 'Linear',
+  matches: url => !!parseLinearUrl(url),
+  extractId: url => parseLinearUrl(url).key,
+  titleAction: 'fetchLinearTitle',
+  defaultIssueType: "LinearIssue",
+  fetchTitle: fetchLinearTitle,
+  revalidate: revalidateLinearTitle,
+  fetchDetails: fetchLinearLinkDetails,
+  describeLink: (url, data) => ({ icon: getIssueTypeIcon(data.type, data.key), key: data.key, summary: data.title })
+});
+
+registerLinkProvider({
+  id: 'confluence',
+  name: 'Confluence',
+  matches: isConfluenceUrl,
+  extractId: url => {
+    const match = url.match(CONFLUENCE_PATH_REGEX);
+    return match ? match[1] || match[2] || match[3] : null;
+  },
+  titleAction: 'fetchConfluenceTitle',
+  defaultIssueType: "Confluence Page",
+  fetchTitle: fetchConfluenceTitle,
+  revalidate: revalidateConfluenceTitle,
+  fetchDetails: fetchConfluenceLinkDetails,
+  describeLink: (url, data) => ({
+    icon: getIssueTypeIcon(data.issueType, null),
+    key: data.spaceName || data.spaceKey || null,
+    summary: data.title
+  })
+});
+
+registerLinkProvider({
+  id: 'servicedesk',
+  name: 'JSM request',
+  matches: isServiceDeskUrl,
+  extractId: extractJiraIssueKeyFromUrl,
+  titleAction: 'fetchServiceDeskTitle',
+  defaultIssueType: "ServiceDeskRequest",
+  fetchTitle: fetchServiceDeskTitle,
+  revalidate: revalidateServiceDeskTitle,
+  fetchDetails: fetchServiceDeskLinkDetails,
+  describeLink: (url, data) => ({
+    icon: SERVICE_DESK_ICON,
+    key: data.issueKey || extractJiraIssueKeyFromUrl(url),
+    summary: data.title
+  })
+});
+
+// Boards and filters have no hover card - the link text already says it all
+registerLinkProvider({
+  id: 'jiraview',
+  name: 'board/filter',
+  matches: url => !!parseJiraViewUrl(url),
+  extractId: url => {
+    const view = parseJiraViewUrl(url);
+    return view ? view.boardId || view.filterId || view.jql : null;
+  },
+  titleAction: 'fetchJiraViewTitle',
+  defaultIssueType: "Unknown",
+  fetchTitle: fetchJiraViewTitle,
+  revalidate: revalidateJiraViewTitle,
+  describeLink: (url, data) => ({
+    icon: data.issueType === "JiraBoard" ? JIRA_BOARD_ICON : JIRA_SEARCH_ICON,
+    key: null,
+    summary: data.title
+  })
+});
+
+registerLinkProvider({
+  id: 'jira',
+  name: 'Jira',
+  matches: url => isJiraHostUrl(url) && !!extractIssueKeyFromUrl(url),
+  extractId: extractIssueKeyFromUrl,
+  titleAction: 'fetchJiraTitle',
+  defaultIssueType: "Unknown",
+  handleTitleRequest: handleJiraTitleRequest,
+  revalidate: revalidateJiraTitle,
+  fetchDetails: fetchJiraLinkDetails,
+  describeLink: (url, data) => {
+    const issueKey = extractIssueKeyFromUrl(url);
+    return {
+      icon: getIssueTypeIcon(data.issueType, issueKey),
+      key: issueKey,
+      // Jira titles come as "KEY-123: Summary"
+      summary: data.title.replace(new RegExp(`^\\s*${escapeRegExp(issueKey)}:\\s*`, 'i'), '')
+    };
+  }
+});
+
+// Function to revalidate the titles of links a content script has on screen
+// Only entries older than the refresh interval are checked; changes come back as titleUpdated
+function revalidateTitles(urls) {
+  const refreshAfter = Number(extensionSettings.liveRefreshMinutes) * 60 * 1000;
+  if (!refreshAfter) return 0;
+  
+  const now = Date.now();
+  let queued = 0;
+  
+  for (const rawUrl of urls || []) {
+    const url = rawUrl ? rawUrl.replace(/\r?\n/g, '') : rawUrl;
+    if (!url || revalidatingUrls.has(url)) continue;
+    
+    const entry = titleCache[url];
+    if (entry && now - entry.cachedAt < refreshAfter) continue;
+    
+    if (queueRevalidation(url)) {
+      queued++;
+    }
+  }
+  
+  return queued;
+}
+
+// Function to start revalidating a link's title with its provider
+// Returns the running revalidation, or null when the link has no provider that can revalidate it
+function queueRevalidation(url) {
+  const provider = findLinkProvider(url);
+  if (!provider || !provider.revalidate) return null;
+  
+  revalidatingUrls.add(url);
+  return provider.revalidate(url)
+    .catch(error => debugLog(`Error revalidating ${url}: ${error.message}`))
+    .finally(() => revalidatingUrls.delete(url));
+}
+
+// Function to revalidate every cached title, however recently it was fetched
+// Runs in batches like requestTitlesInBatches; returns how many titles will be refreshed
+// Open tabs hear about changed titles through titleUpdated as usual
+function refreshAllTitles() {
+  const urls = [];
+  
+  for (const url of Object.keys(titleCache)) {
+    const provider = findLinkProvider(url);
+    if (!provider || !provider.revalidate || revalidatingUrls.has(url)) continue;
+    
+    // Jira issues are cached under both the URL as found and its normalized form,
+    // so only refresh the raw one when there's no normalized entry to do it
+    if (provider.id === 'jira') {
+      const normalizedUrl = normalizeJiraUrl(url);
+      if (normalizedUrl !== url && titleCache[normalizedUrl]) continue;
+    }
+    
+    urls.push(url);
+  }
+  
+  console.log(`Refreshing ${urls.length} cached titles`);
+  revalidateTitlesInBatches(urls);
+  return urls.length;
+}
+
+// Function to revalidate many titles, a batch at a time
+async function revalidateTitlesInBatches(urls) {
+  for (let start = 0; start < urls.length; start += TITLE_BATCH_SIZE) {
+    if (start > 0) {
+      await new Promise(resolve => setTimeout(resolve, TITLE_BATCH_DELAY));
+    }
+    
+    const batch = urls.slice(start, start + TITLE_BATCH_SIZE);
+    // Skip links cleared from the cache or already being revalidated since the refresh began
+    await Promise.all(batch.map(url => 
+      titleCache[url] && !revalidatingUrls.has(url) ? queueRevalidation(url) : null));
+    
+    debugLog(`Refreshed ${Math.min(start + TITLE_BATCH_SIZE, urls.length)} of ${urls.length} cached titles`);
+  }
+}
+
+// Function to forget every cached title and hover card, here and in the open tabs
+function clearTitleCache() {
+  const count = Object.keys(titleCache).length;
+  
+  for (const url in titleCache) {
+    delete titleCache[url];
+  }
+  for (const url in linkDetailsCache) {
+    delete linkDetailsCache[url];
+  }
+  schedulePersistTitleCache();
+  
+  chrome.tabs.query({}, tabs => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, { action: 'titleCacheCleared' }, () => {
+        // Ignore errors from tabs that don't have our content script
+        void chrome.runtime.lastError;
+      });
+    });
+  });
+  
+  console.log(`Cleared ${count} cached titles`);
+  return count;
+}
+
+// Number of recently used links listed in the toolbar popup
+const POPUP_RECENT_LINKS = 15;
+
+// Function to gather what the toolbar popup shows: the most recently used links,
+// ready to copy, the cache size and where Jira and Asana sign-in stands
+function getPopupState() {
+  const urls = Object.keys(titleCache)
+    .sort((a, b) => titleCache[b].lastAccessed - titleCache[a].lastAccessed);
+  
+  const recentLinks = [];
+  for (const url of urls) {
+    if (recentLinks.length >= POPUP_RECENT_LINKS) break;
     
-    // Otherwise fetch the title
-    console.log(`Fetching Asana title for: ${url} with task ID: ${finalTaskId}`);
+    const provider = findLinkProvider(url);
+    if (!provider) continue;
     
-    fetchAsanaTaskTitle(url, finalTaskId)
-      .then(result => {
-        if (result.title) {
-          console.log(`Got Asana title: ${result.title}`);
-          
-          // Check if it's just a generic "Asana" title
-          if (result.title === "Asana" || 
-              result.title === "Asana Task" || 
-              result.title === "Asana Project" ||
-              result.title === "Redirecting") {
-            
-            console.log(`Got generic Asana title "${result.title}", using fallback with task ID`);
-            const fallbackTitle = `Asana Task ${finalTaskId}`;
-            
-            // Cache the fallback title
-            titleCache[url] = {
-              title: fallbackTitle,
-              issueType: "AsanaTask"
-            };
-            
-            sendResponse({ 
-              title: fallbackTitle, 
-              issueType: "AsanaTask" 
-            });
-            return;
-          }
-          
-          // Cache the title
-          titleCache[url] = {
-            title: result.title,
-            issueType: "AsanaTask"
-          };
-          
-          sendResponse({ 
-            title: result.title, 
-            issueType: "AsanaTask" 
-          });
+    const { html, text, label } = formatCopiedLink(provider, url, titleCache[url]);
+    recentLinks.push({ url, html, text, label, provider: provider.name });
+  }
+  
+  const auth = {};
+  for (const service of ['jira', 'asana']) {
+    auth[service] = {
+      authenticated: authStatus[service].authenticated,
+      lastAuthAttempt: authStatus[service].lastAuthAttempt,
+      pendingCount: authStatus[service].pendingTasks.size
+    };
+  }
+  
+  return { recentLinks, cacheSize: urls.length, authStatus: auth };
+}
+
+// Actions handleRuntimeMessage answers, besides the title requests of the link providers
+const RUNTIME_MESSAGE_ACTIONS = [
+  'revalidateTitles', 'getPopupState', 'clearTitleCache', 'refreshAllTitles',
+  'fetchTitles', 'beautifyExistingLinks', 'fetchLinkDetails'
+];
+
+// Helper function to check if a message is one we answer
+function isHandledRuntimeMessage(request) {
+  if (!request || !request.action) return false;
+  return RUNTIME_MESSAGE_ACTIONS.includes(request.action) || 
+         LINK_PROVIDERS.some(provider => provider.titleAction === request.action);
+}
+
+// Listen for messages from content scripts
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Leave messages we don't answer alone, so their senders aren't kept waiting
+  if (!isHandledRuntimeMessage(request)) return false;
+  
+  // Answer only once the persisted cache and settings are restored, so a
+  // freshly woken service worker doesn't refetch titles it already knows
+  backgroundReady.then(() => handleRuntimeMessage(request, sender, sendResponse));
+  return true; // Keep the messaging channel open for async response
+});
+
+// Function to handle messages from content scripts
+function handleRuntimeMessage(request, sender, sendResponse) {
+  if (request.action === 'revalidateTitles') {
+    const queued = revalidateTitles(request.urls);
+    sendResponse({ queued });
+    return true;
+  }
+  
+  // Requests from the toolbar popup
+  if (request.action === 'getPopupState') {
+    sendResponse(getPopupState());
+    return true;
+  }
+  
+  if (request.action === 'clearTitleCache') {
+    const cleared = clearTitleCache();
+    sendResponse({ cleared });
+    return true;
+  }
+  
+  if (request.action === 'refreshAllTitles') {
+    const queued = refreshAllTitles();
+    sendResponse({ queued });
+    return true;
+  }
+  
+  if (request.action === 'fetchTitles') {
+    requestTitlesInBatches(request.urls || [])
+      .then(titles => sendResponse({ titles }));
+    return true;
+  }
+  
+  if (request.action === 'beautifyExistingLinks') {
+    beautifyExistingLinksInTab(request.tabId)
+      .then(decorated => sendResponse({ decorated }));
+    return true;
+  }
+  
+  if (request.action === 'fetchLinkDetails') {
+    const url = request.url ? request.url.replace(/\r?\n/g, '') : request.url;
+    
+    fetchLinkDetails(url)
+      .then(details => sendResponse(details))
+      .catch(error => {
+        console.log(`Error fetching link details for ${url}: ${error.message}`);
+        sendResponse({ error: 'failed' });
+      });
+    return true;
+  }
+  
+  // Title requests go to the provider that registered the action
+  const titleProvider = LINK_PROVIDERS.find(provider => provider.titleAction === request.action);
+  if (titleProvider) {
+    if (titleProvider.handleTitleRequest) {
+      return titleProvider.handleTitleRequest(request, sendResponse);
+    }
+    return handleProviderTitleRequest(titleProvider, request, sendResponse);
+  }
+}
+
+// Function to answer a Jira issue title request from the cache
+function sendCachedJiraTitle(url, cachedData, sendResponse) {
+  console.log('Using cached title for:', url);
+  debugLog(`Cached issue type: ${cachedData.issueType}`);
+  
+  // Extract the issue key from the URL for cleaning
+  const issueKey = extractIssueKeyFromUrl(url);
+  
+  // Clean the cached title just to be sure
+  const cleanedTitle = cleanTitle(cachedData.title, url, issueKey);
+  
+  sendResponse({ 
+    title: cleanedTitle, 
+    issueType: cachedData.issueType,
+    status: cachedData.status || null,
+    statusCategory: cachedData.statusCategory || null,
+    assignee: cachedData.assignee || null,
+    sprint: cachedData.sprint || null,
+    issueTypeIconUrl: cachedData.issueTypeIconUrl || null
+  });
+}
+
+// Function to answer a Jira issue title request, from the cache or by fetching the title
+function handleJiraTitleRequest(request, sendResponse) {
+  // Sanitize the URL by removing newlines
+  const url = request.url ? request.url.replace(/\r?\n/g, '') : request.url;
+  const forceRefresh = request.forceRefresh || FORCE_REFRESH;
+  
+  // Normalize URL for cache lookup (removes query params like ?search_id=...)
+  const normalizedUrl = normalizeJiraUrl(url);
+  
+  // Detect and clear incorrect "Issue navigator" titles from cache
+  const cachedEntry = getCachedTitle(url) || getCachedTitle(normalizedUrl);
+  if (cachedEntry && 
+      cachedEntry.title && 
+      cachedEntry.title.includes("Issue navigator")) {
+    
+    debugLog(`Found cached "Issue navigator" title for ${url} - clearing to force refresh`);
+    deleteCachedTitle(url);
+    if (normalizedUrl !== url) {
+      deleteCachedTitle(normalizedUrl);
+    }
+  }
+  
+  // Check if we have a cached title and we're not forcing a refresh
+  const cachedData = getCachedTitle(url) || getCachedTitle(normalizedUrl);
+  if (cachedData && !forceRefresh) {
+    // Titles cached before sprints were looked up have no sprint at all - pasting rows
+    // into Sheets needs it, so fetch those again if the site has a sprint field
+    if (!('sprint' in cachedData) && extensionSettings.sheetsPasteMode === 'columns') {
+      getJiraSprintField(getJiraBaseUrl(url)).then(sprintField => {
+        if (sprintField) {
+          debugLog(`Cached title for ${url} has no sprint - fetching it again`);
+          handleJiraTitleRequest({ ...request, forceRefresh: true }, sendResponse);
         } else {
-          // Use a fallback title
-          const fallbackTitle = `Asana Task ${finalTaskId}`;
-          console.log(`Using fallback Asana title: ${fallbackTitle}`);
-          
-          // Cache the fallback
-          titleCache[url] = {
-            title: fallbackTitle,
-            issueType: "AsanaTask"
-          };
-          
-          sendResponse({ 
-            title: fallbackTitle, 
-            issueType: "AsanaTask" 
-          });
+          sendCachedJiraTitle(url, cachedData, sendResponse);
         }
-      })
-      .catch(error => {
-        console.error('Error fetching Asana title:', error);
-        
-        // Use a fallback title in case of error
-        const fallbackTitle = `Asana Task ${finalTaskId}`;
-        console.log(`Using fallback Asana title after error: ${fallbackTitle}`);
-        
-        sendResponse({ 
-          title: fallbackTitle, 
-          issueType: "AsanaTask" 
-        });
       });
+      return true; // Keep the messaging channel open for async response
+    }
     
+    sendCachedJiraTitle(url, cachedData, sendResponse);
     return true; // Keep the messaging channel open for async response
   }
   
-  if (request.action === 'fetchJiraTitle') {
-    // Sanitize the URL by removing newlines
-    const url = request.url ? request.url.replace(/\r?\n/g, '') : request.url;
-    const forceRefresh = request.forceRefresh || FORCE_REFRESH;
-    
-    // Normalize URL for cache lookup (removes query params like ?search_id=...)
-    const normalizedUrl = normalizeJiraUrl(url);
-    
-    // Detect and clear incorrect "Issue navigator" titles from cache
-    const cachedEntry = titleCache[url] || titleCache[normalizedUrl];
-    if (cachedEntry && 
-        cachedEntry.title && 
-        cachedEntry.title.includes("Issue navigator")) {
+  // Otherwise fetch the title (try API first, then fallback to HTML)
+  if (forceRefresh) {
+    console.log('Force refreshing title for:', url);
+  } else {
+    console.log('Fetching title for:', url);
+  }
+  
+  // Requests arriving together are coalesced into one search per Jira host
+  fetchJiraTitleBatched(url)
+    .then(apiResult => {
+      // Logged out - answer with the issue key, but don't cache it
+      if (apiResult.title && apiResult.fallback) {
+        sendResponse({ title: apiResult.title, issueType: apiResult.issueType, fallback: true });
+        return;
+      }
       
-      debugLog(`Found cached "Issue navigator" title for ${url} - clearing to force refresh`);
-      delete titleCache[url];
-      if (normalizedUrl !== url) {
-        delete titleCache[normalizedUrl];
+      if (apiResult.title) {
+        // We got a title from the API
+        console.log('Got title from API:', apiResult.title);
+        debugLog(`Got issue type from API: ${apiResult.issueType}`);
+        
+        // Cache title, issue type and status under both original and normalized URL
+        const cacheData = {
+          title: apiResult.title,
+          issueType: apiResult.issueType,
+          status: apiResult.status || null,
+          statusCategory: apiResult.statusCategory || null,
+          assignee: apiResult.assignee || null,
+          sprint: apiResult.sprint || null,
+          issueTypeIconUrl: apiResult.issueTypeIconUrl || null
+        };
+        setCachedTitle(url, cacheData);
+        if (normalizedUrl !== url) {
+          setCachedTitle(normalizedUrl, cacheData);
+        }
+        
+        sendResponse(cacheData);
+      } else {
+        // Fallback to HTML method
+        return fetchJiraTitleViaHTML(url);
       }
-    }
-    
-    // Check if we have a cached title and we're not forcing a refresh
-    const cachedData = titleCache[url] || titleCache[normalizedUrl];
-    if (cachedData && !forceRefresh) {
-      console.log('Using cached title for:', url);
-      debugLog(`Cached issue type: ${cachedData.issueType}`);
+    })
+    .then(htmlResult => {
+      if (htmlResult && htmlResult.title) {
+        console.log('Got title from HTML:', htmlResult.title);
+        debugLog(`Got issue type from HTML: ${htmlResult.issueType}`);
+        
+        // Cache both title and issue type under both original and normalized URL
+        // (setCachedTitle skips placeholder titles)
+        const cacheData = {
+          title: htmlResult.title,
+          issueType: htmlResult.issueType,
+          // The page doesn't give the sprint; null marks it as looked up so it isn't fetched again
+          sprint: null,
+          fallback: htmlResult.fallback || false
+        };
+        setCachedTitle(url, cacheData);
+        if (normalizedUrl !== url) {
+          setCachedTitle(normalizedUrl, cacheData);
+        }
+        
+        sendResponse(cacheData);
+      } else {
+        // If both methods failed, use a simple fallback
+        const issueKey = extractIssueKeyFromUrl(url);
+        const fallbackTitle = issueKey ? `${issueKey}: Jira Issue` : "Jira Issue";
+        
+        console.log('Using fallback title:', fallbackTitle);
+        
+        // Not cached, so the real title is fetched next time
+        sendResponse({ 
+          title: fallbackTitle, 
+          issueType: "Unknown",
+          fallback: true
+        });
+      }
+    })
+    .catch(error => {
+      console.error('Error fetching title:', error);
       
-      // Extract the issue key from the URL for cleaning
+      // Use a fallback title in case of error
       const issueKey = extractIssueKeyFromUrl(url);
+      const fallbackTitle = issueKey ? `${issueKey}: Jira Issue` : "Jira Issue";
       
-      // Clean the cached title just to be sure
-      const cleanedTitle = cleanTitle(cachedData.title, url, issueKey);
-      
+      console.log('Using fallback title after error:', fallbackTitle);
       sendResponse({ 
-        title: cleanedTitle, 
-        issueType: cachedData.issueType 
+        title: fallbackTitle, 
+        issueType: "Unknown",
+        fallback: true
       });
-      return true; // Keep the messaging channel open for async response
-    }
-    
-    // Otherwise fetch the title (try API first, then fallback to HTML)
-    if (forceRefresh) {
-      console.log('Force refreshing title for:', url);
-    } else {
-      console.log('Fetching title for:', url);
+    });
+  
+  return true; // Keep the messaging channel open for async response
+}
+
+// Function to answer an Asana title request, from the cache or by fetching the title
+function handleAsanaTitleRequest(request, sendResponse) {
+  // Sanitize the URL by removing newlines
+  const url = request.url ? request.url.replace(/\r?\n/g, '') : request.url;
+  let taskId = request.taskId;
+  const forceRefresh = request.forceRefresh || FORCE_REFRESH;
+  
+  console.log(`Received fetchAsanaTitle request for URL: ${url}`);
+  console.log(`Task ID provided: ${taskId}`);
+  
+  // Projects, portfolios, goals and conversations have their own endpoints
+  const asanaLink = classifyAsanaUrl(url);
+  if (asanaLink && asanaLink.kind !== 'task') {
+    const cachedObjectData = getCachedTitle(url);
+    if (cachedObjectData && !forceRefresh) {
+      console.log(`Using cached Asana ${asanaLink.kind} title for: ${url}`);
+      sendResponse({ ...cachedObjectData });
+      return true;
     }
     
-    fetchJiraTitleViaAPI(url)
-      .then(apiResult => {
-        if (apiResult.title) {
-          // We got a title from the API
-          console.log('Got title from API:', apiResult.title);
-          debugLog(`Got issue type from API: ${apiResult.issueType}`);
-          
-          // Cache both title and issue type under both original and normalized URL
-          const cacheData = {
-            title: apiResult.title,
-            issueType: apiResult.issueType
-          };
-          titleCache[url] = cacheData;
-          if (normalizedUrl !== url) {
-            titleCache[normalizedUrl] = cacheData;
-          }
-          
-          sendResponse({ 
-            title: apiResult.title, 
-            issueType: apiResult.issueType 
-          });
-        } else {
-          // Fallback to HTML method
-          return fetchJiraTitleViaHTML(url);
-        }
-      })
-      .then(htmlResult => {
-        if (htmlResult && htmlResult.title) {
-          console.log('Got title from HTML:', htmlResult.title);
-          debugLog(`Got issue type from HTML: ${htmlResult.issueType}`);
-          
-          // Cache both title and issue type under both original and normalized URL
-          const cacheData = {
-            title: htmlResult.title,
-            issueType: htmlResult.issueType
-          };
-          titleCache[url] = cacheData;
-          if (normalizedUrl !== url) {
-            titleCache[normalizedUrl] = cacheData;
-          }
-          
-          sendResponse({ 
-            title: htmlResult.title, 
-            issueType: htmlResult.issueType 
-          });
-        } else {
-          // If both methods failed, use a simple fallback
-          const issueKey = extractIssueKeyFromUrl(url);
-          const fallbackTitle = issueKey ? `${issueKey}: Jira Issue` : "Jira Issue";
-          
-          console.log('Using fallback title:', fallbackTitle);
+    fetchAsanaObjectTitle(asanaLink).then(result => {
+      if (result.title) {
+        setCachedTitle(url, { title: result.title, issueType: result.issueType, status: result.status });
+        sendResponse(result);
+        return;
+      }
+      
+      // Log in first if needed, like for tasks
+      if (result.httpStatus === 401 || result.httpStatus === 403) {
+        openAuthTab(url, asanaLink.id, 'asana');
+      }
+      const label = asanaLink.kind.charAt(0).toUpperCase() + asanaLink.kind.slice(1);
+      sendResponse({ title: `Asana ${label} ${asanaLink.id}`, issueType: result.issueType, fallback: true });
+    });
+    return true; // Keep the messaging channel open for async response
+  }
+  
+  // Extract task ID from URL if not provided or invalid
+  let finalTaskId = taskId;
+  if (!finalTaskId || !/^\d+$/.test(finalTaskId)) {
+    finalTaskId = extractAsanaTaskIdFromUrl(url);
+  }
+  
+  if (!finalTaskId) {
+    console.log(`Could not extract task ID from URL: ${url}`);
+    sendResponse({
+      title: "Asana Task",
+      issueType: "AsanaTask",
+      fallback: true
+    });
+    return true;
+  }
+  
+  // Check if we have a cached title and we're not forcing a refresh
+  const cachedAsanaData = getCachedTitle(url);
+  if (cachedAsanaData && !forceRefresh) {
+    console.log(`Using cached Asana title for: ${url}`);
+    console.log(`Cached title: ${cachedAsanaData.title}`);
+    sendResponse({ 
+      ...cachedAsanaData,
+      issueType: "AsanaTask",
+      assignee: cachedAsanaData.assignee || null
+    });
+    return true; // Keep the messaging channel open for async response
+  }
+  
+  // Otherwise fetch the title
+  console.log(`Fetching Asana title for: ${url} with task ID: ${finalTaskId}`);
+  
+  fetchAsanaTaskTitle(url, finalTaskId)
+    .then(result => {
+      // Waiting for the user to log in - answer with the placeholder, but don't cache it
+      if (result.title && result.fallback) {
+        sendResponse({ title: result.title, issueType: "AsanaTask", fallback: true });
+        return;
+      }
+      
+      if (result.title) {
+        console.log(`Got Asana title: ${result.title}`);
+        
+        // Check if it's just a generic "Asana" title
+        if (result.title === "Asana" || 
+            result.title === "Asana Task" || 
+            result.title === "Asana Project" ||
+            result.title === "Redirecting") {
           
-          // Cache the fallback information under both original and normalized URL
-          const cacheData = {
-            title: fallbackTitle,
-            issueType: "Unknown"
-          };
-          titleCache[url] = cacheData;
-          if (normalizedUrl !== url) {
-            titleCache[normalizedUrl] = cacheData;
-          }
+          console.log(`Got generic Asana title "${result.title}", using fallback with task ID`);
+          const fallbackTitle = `Asana Task ${finalTaskId}`;
           
           sendResponse({ 
             title: fallbackTitle, 
-            issueType: "Unknown" 
+            issueType: "AsanaTask",
+            fallback: true
           });
+          return;
         }
-      })
-      .catch(error => {
-        console.error('Error fetching title:', error);
         
-        // Use a fallback title in case of error
-        const issueKey = extractIssueKeyFromUrl(url);
-        const fallbackTitle = issueKey ? `${issueKey}: Jira Issue` : "Jira Issue";
+        // Cache the title
+        const asanaCacheData = {
+          title: result.title,
+          issueType: "AsanaTask",
+          assignee: result.assignee || null,
+          completed: !!result.completed,
+          dueOn: result.dueOn || null,
+          dueAt: result.dueAt || null,
+          parentName: result.parentName || null
+        };
+        setCachedTitle(url, asanaCacheData);
+        
+        sendResponse(asanaCacheData);
+      } else {
+        // Use a fallback title
+        const fallbackTitle = `Asana Task ${finalTaskId}`;
+        console.log(`Using fallback Asana title: ${fallbackTitle}`);
         
-        console.log('Using fallback title after error:', fallbackTitle);
+        // Not cached, so the real title is fetched next time
         sendResponse({ 
           title: fallbackTitle, 
-          issueType: "Unknown" 
+          issueType: "AsanaTask",
+          fallback: true
         });
+      }
+    })
+    .catch(error => {
+      console.error('Error fetching Asana title:', error);
+      
+      // Use a fallback title in case of error
+      const fallbackTitle = `Asana Task ${finalTaskId}`;
+      console.log(`Using fallback Asana title after error: ${fallbackTitle}`);
+      
+      sendResponse({ 
+        title: fallbackTitle, 
+        issueType: "AsanaTask",
+        fallback: true
       });
+    });
+  
+  return true; // Keep the messaging channel open for async response
+}
+
+// Function to answer a title request for a provider without special needs:
+// serve it from the cache, or fetch it with the provider's fetchTitle and cache the result
+function handleProviderTitleRequest(provider, request, sendResponse) {
+  // Sanitize the URL by removing newlines
+  const url = request.url ? request.url.replace(/\r?\n/g, '') : request.url;
+  const forceRefresh = request.forceRefresh || FORCE_REFRESH;
+  
+  console.log(`Received ${request.action} request for URL: ${url}`);
+  
+  const cachedData = getCachedTitle(url);
+  if (cachedData && !forceRefresh) {
+    console.log(`Using cached ${provider.name} title for:`, url);
+    sendResponse({ ...cachedData });
+    return true;
+  }
+  
+  provider.fetchTitle(url)
+    .then(result => {
+      if (result.title) {
+        console.log(`Got ${provider.name} title: ${result.title}`);
+        setCachedTitle(url, result);
+      }
+      sendResponse(result);
+    })
+    .catch(error => {
+      console.error(`Error fetching ${provider.name} title:`, error);
+      sendResponse({ title: null, issueType: provider.defaultIssueType });
+    });
+  
+  return true; // Keep the messaging channel open for async response
+}
+
+// "Copy as beautified link" - in the context menu of known links and pages, and as a keyboard command
+const COPY_LINK_MENU_ID = 'copy-beautified-link';
+const COPY_PAGE_MENU_ID = 'copy-beautified-page';
+const COPY_LINK_COMMAND = 'copy-beautified-link';
+
+// Function to get the URL patterns of every site whose links we can beautify
+function getBeautifiableUrlPatterns() {
+  const patterns = [
+    'https://*.atlassian.net/*',
+    'https://app.asana.com/*',
+    'https://github.com/*',
+    `${GITLAB_COM_BASE_URL}/*`,
+    'https://linear.app/*'
+  ];
+  
+  for (const instance of [...extensionSettings.jiraInstances, ...extensionSettings.gitlabInstances]) {
+    const pattern = getOriginPattern(instance.baseUrl);
+    if (pattern && !patterns.includes(pattern)) {
+      patterns.push(pattern);
+    }
+  }
+  
+  return patterns;
+}
+
+// Function to (re)create the "Copy as beautified link" menu entries for the sites we know
+// The click handler still checks the URL, so pages without an issue or task just get a notification
+function updateCopyLinkMenus() {
+  const patterns = getBeautifiableUrlPatterns();
+  
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: COPY_LINK_MENU_ID,
+      title: 'Copy as beautified link',
+      contexts: ['link'],
+      targetUrlPatterns: patterns
+    });
+    chrome.contextMenus.create({
+      id: COPY_PAGE_MENU_ID,
+      title: 'Copy as beautified link',
+      contexts: ['page'],
+      documentUrlPatterns: patterns
+    });
+  });
+}
+
+settingsReady.then(updateCopyLinkMenus);
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab) return;
+  
+  if (info.menuItemId === COPY_LINK_MENU_ID) {
+    copyBeautifiedLink(info.linkUrl, tab, info.frameId || 0);
+  } else if (info.menuItemId === COPY_PAGE_MENU_ID) {
+    copyBeautifiedLink(info.pageUrl, tab, info.frameId || 0);
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === COPY_LINK_COMMAND && tab) {
+    copyBeautifiedLink(tab.url, tab);
+  }
+});
+
+// Function to get a link's title the way content scripts do: from the cache, or fetched by its provider
+function requestProviderTitle(provider, url) {
+  return new Promise(resolve => {
+    const request = { action: provider.titleAction, url };
+    if (provider.handleTitleRequest) {
+      provider.handleTitleRequest(request, resolve);
+    } else {
+      handleProviderTitleRequest(provider, request, resolve);
+    }
+  });
+}
+
+// Bulk title lookups (converting a Sheets column, refreshing the cache) go in batches with a pause in between,
+// so hundreds of links don't hit Jira, Asana and the other sites all at once
+const TITLE_BATCH_SIZE = 10;
+const TITLE_BATCH_DELAY = 500; // ms
+
+// Function to get the titles of many links, a batch at a time
+// Returns URL -> title data, or null for links whose real title couldn't be fetched
+async function requestTitlesInBatches(urls) {
+  const titles = {};
+  
+  for (let start = 0; start < urls.length; start += TITLE_BATCH_SIZE) {
+    if (start > 0) {
+      await new Promise(resolve => setTimeout(resolve, TITLE_BATCH_DELAY));
+    }
     
-    return true; // Keep the messaging channel open for async response
+    const batch = urls.slice(start, start + TITLE_BATCH_SIZE);
+    await Promise.all(batch.map(async rawUrl => {
+      const url = rawUrl ? rawUrl.replace(/\r?\n/g, '') : rawUrl;
+      const provider = findLinkProvider(url);
+      const data = provider ? await requestProviderTitle(provider, url) : null;
+      // Placeholders (logged out, title not found) count as not fetched
+      titles[rawUrl] = data && data.title && !data.fallback && 
+                       !data.title.toLowerCase().includes('redirect') ? data : null;
+    }));
+    
+    debugLog(`Fetched titles for ${Math.min(start + TITLE_BATCH_SIZE, urls.length)} of ${urls.length} links`);
+  }
+  
+  return titles;
+}
+
+// Function to build the clipboard contents for a link: an HTML anchor with icon and title,
+// and plain text for apps that only take text ("ABC-123: Login fails – https://...")
+// The label is the anchor's text, for showing the link in the toolbar popup
+function formatCopiedLink(provider, url, data) {
+  const { icon, key, summary } = provider.describeLink ? 
+    provider.describeLink(url, data) : 
+    { icon: null, key: null, summary: data.title };
+  const label = key ? `${key}: ${summary}` : summary;
+  const linkText = icon ? `${icon} ${label}` : label;
+  
+  return {
+    html: `<a href="${escapeHtml(url)}">${escapeHtml(linkText)}</a>`,
+    text: `${label} – ${url}`,
+    label: linkText
+  };
+}
+
+// Runs in the page: puts both versions of the link on the clipboard through a copy event
+// Service workers have no clipboard, and a copy event is the one way to set HTML and text together
+function writeLinkToClipboard(html, text) {
+  const onCopy = event => {
+    event.preventDefault();
+    event.clipboardData.setData('text/html', html);
+    event.clipboardData.setData('text/plain', text);
+  };
+  
+  document.addEventListener('copy', onCopy, true);
+  try {
+    return document.execCommand('copy');
+  } finally {
+    document.removeEventListener('copy', onCopy, true);
+  }
+}
+
+// Function to copy a link (or the page in a tab) to the clipboard as a beautified link
+async function copyBeautifiedLink(url, tab, frameId = 0) {
+  await backgroundReady;
+  
+  const sanitizedUrl = url ? url.replace(/\r?\n/g, '') : url;
+  const provider = findLinkProvider(sanitizedUrl);
+  if (!provider) {
+    showNotification('Nothing to copy', 'This is not a Jira, Asana, GitHub, GitLab or Linear link the extension knows.');
+    return;
+  }
+  
+  const data = await requestProviderTitle(provider, sanitizedUrl);
+  if (!data || !data.title) {
+    showNotification('Could not copy the link', `The ${provider.name} title could not be fetched - are you logged in?`);
+    return;
+  }
+  
+  const { html, text } = formatCopiedLink(provider, sanitizedUrl, data);
+  
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: [frameId] },
+      func: writeLinkToClipboard,
+      args: [html, text]
+    });
+    if (!injection || !injection.result) {
+      throw new Error('the copy command was refused');
+    }
+    console.log(`Copied beautified link: ${text}`);
+  } catch (error) {
+    console.log(`Could not copy beautified link for ${sanitizedUrl}: ${error.message}`);
+    showNotification('Could not copy the link', "The clipboard can't be written from this page.");
+  }
+}
+
+// "Beautify links on this page" - from the toolbar popup and as a keyboard command
+const BEAUTIFY_EXISTING_COMMAND = 'beautify-existing-links';
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== BEAUTIFY_EXISTING_COMMAND || !tab) return;
+  
+  const decorated = await beautifyExistingLinksInTab(tab.id);
+  if (decorated === 0) {
+    showNotification('No links to beautify', 'There are no raw Jira, Asana, GitHub, GitLab or Linear links on screen here.');
+  }
+});
+
+// Function to beautify the raw links already shown in every frame of a tab
+// Runs the content script's beautifyExistingLinks, so frames without it count as none
+async function beautifyExistingLinksInTab(tabId) {
+  try {
+    const injections = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => (typeof beautifyExistingLinks === 'function' ? beautifyExistingLinks() : 0)
+    });
+    return injections.reduce((total, injection) => total + (injection.result || 0), 0);
+  } catch (error) {
+    console.log(`Could not beautify existing links in tab ${tabId}: ${error.message}`);
+    return 0;
+  }
+}
+
+// Converting the selected Google Sheets column into HYPERLINK formulas - a keyboard command
+const CONVERT_SHEETS_LINKS_COMMAND = 'convert-sheets-links';
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== CONVERT_SHEETS_LINKS_COMMAND || !tab) return;
+  
+  let result;
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => (typeof convertSelectedSheetsLinks === 'function' ? 
+        convertSelectedSheetsLinks() : 
+        { error: 'Links can only be converted in Google Sheets.' })
+    });
+    result = injection && injection.result;
+  } catch (error) {
+    console.log(`Could not convert Sheets links in tab ${tab.id}: ${error.message}`);
+  }
+  
+  if (!result) {
+    showNotification('Could not convert the links', 'Links can only be converted in Google Sheets.');
+  } else if (result.error) {
+    showNotification('Could not convert the links', result.error);
+  } else if (result.converted < result.total) {
+    showNotification(
+      'Some links were not converted',
+      `${result.total - result.converted} of ${result.total} titles could not be fetched - are you logged in? Those links were left as they were.`
+    );
   }
 });
 
@@ -1121,7 +3641,7 @@ function extractAsanaTaskIdFromUrl(url) {
 
 // Function to extract Jira issue key from URL
 function extractJiraIssueKeyFromUrl(url) {
-  // Try to match both /browse/KEY-123 and /issues/KEY-123 patterns
-  const match = url.match(/\/(?:browse|issues)\/([A-Z]+-\d+)(?:\?|$|\/)/);
+  // Try to match /browse/KEY-123, /issues/KEY-123 and JSM portal /servicedesk/customer/portal/3/KEY-123 patterns
+  const match = url.match(/\/(?:browse|issues|servicedesk\/customer\/portal\/\d+)\/([A-Z][A-Z0-9_]*-\d+)(?:\?|$|\/|#)/);
   return match ? match[1] : null;
 } 
\ No newline at end of file
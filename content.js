@@ -1,9 +1,27 @@
 // Constants for Jira link handling
-const JIRA_URL_REGEX = /https?:\/\/[a-zA-Z0-9.-]+\.[a-zA-Z0-9-]+\.[a-zA-Z0-9-.]+(?:\/(?:browse|issues)\/([A-Z]+-[0-9]+)|.*[?&]selectedIssue=([A-Z]+-[0-9]+))(?:[?#&].*|\s|$)/i;
+// The issue part of a Jira URL, after the host (and any context path)
+const JIRA_ISSUE_PATH_PATTERN = '(?:\\/(?:browse|issues)\\/([A-Z]+-[0-9]+)|.*[?&]selectedIssue=([A-Z]+-[0-9]+))(?:[?#&].*|\\s|$)';
+// Hosts recognized without any configuration (Jira Cloud and similar multi-level domains)
+const JIRA_DEFAULT_HOST_PATTERN = '[a-zA-Z0-9.-]+\\.[a-zA-Z0-9-]+\\.[a-zA-Z0-9-.]+';
+// Jira Service Management customer portal requests, e.g. /servicedesk/customer/portal/3/SUP-412
+const JIRA_PORTAL_PATH_PATTERN = '\\/servicedesk\\/customer\\/portal\\/\\d+\\/([A-Z][A-Z0-9_]*-[0-9]+)(?:[\\/?#&][^\\s]*|\\s|$)';
+// Boards and backlogs (/jira/software/projects/ABC/boards/42, RapidBoard.jspa) and issue searches (?filter=, ?jql=)
+const JIRA_VIEW_PATH_PATTERN = '(?:\\/[^\\s?#]*?)?\\/(?:jira\\/software\\/(?:c\\/)?projects\\/[A-Z][A-Z0-9_]*\\/boards\\/\\d+|secure\\/RapidBoard\\.jspa\\?(?:[^#\\s]*&)?rapidView=\\d+|issues\\/?\\?(?:[^#\\s]*&)?(?:filter=\\d+|jql=))(?:[^\\s]*|\\s|$)';
+// Rebuilt from the Jira instances configured in the options page (see applySettings)
+let JIRA_URL_REGEX = buildJiraUrlRegex([]);
+let JIRA_VIEW_URL_REGEX = buildJiraUrlRegex([], JIRA_VIEW_PATH_PATTERN);
+let JIRA_PORTAL_URL_REGEX = buildJiraUrlRegex([], JIRA_PORTAL_PATH_PATTERN);
 const ISSUE_KEY_REGEX = /([A-Z]+-[0-9]+)/i;
 
+// Constants for Confluence link handling
+// Pages, blog posts, tiny links (/wiki/x/...) and viewpage.action?pageId=...
+const CONFLUENCE_PATH_PATTERN = '(?:\\/[^\\s?#]*?)?\\/(?:spaces\\/[^\\/\\s?#]+\\/(?:pages|blog(?:\\/\\d{4}\\/\\d{2}\\/\\d{2})?)\\/(\\d+)|x\\/([A-Za-z0-9_-]+)|pages\\/viewpage\\.action\\?(?:[^\\s#]*&)?pageId=(\\d+))(?:[\\/?#&][^\\s]*|\\s|$)';
+// Rebuilt from the configured Jira instances, whose hosts often serve Confluence too
+let CONFLUENCE_URL_REGEX = buildConfluenceUrlRegex([]);
+
 // Constants for Asana link handling
-const ASANA_URL_REGEX = /https?:\/\/app\.asana\.com\/(?:\d+\/[\d\/]+|[\d\/]+\/(?:project|task)\/[\d\/]+)(?:\/f)?(?:[?#&].*|\s|$)/i;
+// Matches tasks, projects (with an optional view such as /list), portfolios, goals and conversations
+const ASANA_URL_REGEX = /https?:\/\/app\.asana\.com\/\d+\/(?:(?:project|task|item|inbox|search|portfolios?|goals?|messages|status)\/|\d+(?:\/|(?=[?#&\s]|$)))+(?:(?:list|board|timeline|calendar|overview|files|messages|progress|workflow|dashboard|gantt|f)\/?)?(?:[?#&].*|\s|$)/i;
 const ASANA_TASK_ID_REGEX = /(?:\/|task\/)(\d+)(?:\/f|[?#&].*|\s|$)/i;
 
 const DEBUG = false;
@@ -24,6 +42,17 @@ function debugLog(message) {
 // Script initialization timestamp
 // console.log(`CONTENT SCRIPT STARTED - Jira Link Beautifier ${Date.now()} - URL: ${window.location.href}`);
 
+// Adapters for editors beyond Google Chat, Asana and Sheets, checked in order. An adapter is
+// { id, matches(url), getPasteTarget(event), insertLinks(tokens, target, context) }: getPasteTarget
+// returns where a paste should go (or null to leave the paste alone), and insertLinks puts the pasted
+// text in with its links beautified. Link tokens carry url and displayText; context is { text, savedRange, eventId }
+const PLATFORM_ADAPTERS = [];
+
+// Function to add a platform adapter; its id is the platform name used for link templates
+function registerPlatformAdapter(adapter) {
+  PLATFORM_ADAPTERS.push(adapter);
+}
+
 // Add a visible indicator that the extension is working
 function addVisibleIndicator() {
   // First remove any existing indicators to prevent duplicates
@@ -61,11 +90,13 @@ function addVisibleIndicator() {
   }
 }
 
-// Try to add the indicator when the page is ready
-if (document.body) {
-  addVisibleIndicator();
-} else {
-  document.addEventListener('DOMContentLoaded', addVisibleIndicator);
+// Try to add the indicator when the page is ready (debug mode only, like in initializeExtension)
+if (DEBUG) {
+  if (document.body) {
+    addVisibleIndicator();
+  } else {
+    document.addEventListener('DOMContentLoaded', addVisibleIndicator);
+  }
 }
 
 // Global variables
@@ -73,11 +104,91 @@ const titleCache = {}; // Cache of URL -> { title, issueType }
 const pendingElements = new Map(); // Map of elements waiting for title updates
 let mutationObserver = null;
 
+// Current extension settings, kept in sync with chrome.storage.sync
+let extensionSettings = { ...DEFAULT_SETTINGS };
+
+// Function to build the Jira URL regex, including any configured self-hosted instances
+function buildJiraUrlRegex(instances, pathPattern = JIRA_ISSUE_PATH_PATTERN) {
+  const hostPatterns = [JIRA_DEFAULT_HOST_PATTERN];
+  
+  for (const instance of instances || []) {
+    if (instance && instance.baseUrl) {
+      // Base URLs may carry a port or context path, e.g. jira.example.com:8443/jira
+      hostPatterns.push(escapeRegExp(instance.baseUrl.replace(/^https?:\/\//i, '')));
+    }
+  }
+  
+  return new RegExp(`https?:\\/\\/(?:${hostPatterns.join('|')})${pathPattern}`, 'i');
+}
+
+// Function to build the Confluence URL regex for Confluence Cloud and the configured instances' hosts
+function buildConfluenceUrlRegex(instances) {
+  const hostPatterns = ['[a-zA-Z0-9-]+\\.atlassian\\.net'];
+  
+  for (const instance of instances || []) {
+    const originPattern = instance && instance.baseUrl ? getOriginPattern(instance.baseUrl) : null;
+    if (originPattern) {
+      hostPatterns.push(escapeRegExp(originPattern.replace(/^https?:\/\//i, '').replace(/\/\*$/, '')));
+    }
+  }
+  
+  return new RegExp(`https?:\\/\\/(?:${hostPatterns.join('|')})${CONFLUENCE_PATH_PATTERN}`, 'i');
+}
+
+// Function to apply new or changed settings
+function applySettings(settings) {
+  extensionSettings = { ...extensionSettings, ...settings };
+  JIRA_URL_REGEX = buildJiraUrlRegex(extensionSettings.jiraInstances);
+  JIRA_PORTAL_URL_REGEX = buildJiraUrlRegex(extensionSettings.jiraInstances, JIRA_PORTAL_PATH_PATTERN);
+  JIRA_VIEW_URL_REGEX = buildJiraUrlRegex(extensionSettings.jiraInstances, JIRA_VIEW_PATH_PATTERN);
+  CONFLUENCE_URL_REGEX = buildConfluenceUrlRegex(extensionSettings.jiraInstances);
+  debugLog(`Applied settings: ${Object.keys(settings).join(', ')}`);
+}
+
+// Helper function to check whether beautification is paused everywhere or on a platform
+function isBeautificationPaused(platform) {
+  return extensionSettings.beautificationPaused || 
+         (extensionSettings.pausedPlatforms || []).includes(platform);
+}
+
+// Load settings and keep them up to date when changed from the options page
+loadSettings().then(applySettings);
+onSettingsChanged(applySettings);
+
+// Helper function to check if a URL belongs to a configured Jira instance
+function isConfiguredJiraUrl(url) {
+  return !!findJiraInstance(url.trim(), extensionSettings.jiraInstances);
+}
+
+// Helper function to get the Jira base URL (including any context path) for an issue URL
+function getJiraBaseUrl(url) {
+  // Configured instances know their context path, e.g. https://example.com/jira
+  const instance = findJiraInstance(url, extensionSettings.jiraInstances);
+  if (instance) return instance.baseUrl;
+  
+  if (url.includes('/browse/')) {
+    return url.split('/browse/')[0];
+  } else if (url.includes('/issues/')) {
+    return url.split('/issues/')[0];
+  }
+  
+  return new URL(url).origin;
+}
+
 // Global tracker for paste events to absolutely prevent duplicates
 window._jiraLinkLastPasteEventTime = 0;
 window._jiraLinkEventDedupeWindow = 100; // ms
 window._allowNextPaste = false; // Flag to allow paste events triggered by our execCommand
 
+// Helper function to build a title cache entry from a background response
+// Keeps everything the background sent (status, etc.), not just title and issue type
+function createCacheEntry(response, defaultIssueType = "Unknown") {
+  return {
+    ...response,
+    issueType: response.issueType || defaultIssueType
+  };
+}
+
 // Helper function to check if we're on Google Chat
 function isGoogleChat() {
   const url = window.location.href;
@@ -101,9 +212,50 @@ function getCurrentPlatform() {
   if (isGoogleChat()) return 'google-chat';
   if (isAsana()) return 'asana';
   if (isGoogleSheets()) return 'google-sheets';
-  return 'unknown';
+  
+  const adapter = PLATFORM_ADAPTERS.find(candidate => candidate.matches(window.location.href));
+  return adapter ? adapter.id : 'unknown';
+}
+
+// Helper function to get the adapter for a platform, or null for Google Chat, Asana and Sheets
+function getPlatformAdapter(platform) {
+  return PLATFORM_ADAPTERS.find(adapter => adapter.id === platform) || null;
+}
+
+// Helper function to get the paste target in Google Docs and Slides
+// Both draw the document themselves and take keyboard input and pastes in a hidden iframe
+function getGoogleEditorPasteTarget(event) {
+  const doc = event.target ? event.target.ownerDocument : null;
+  const frame = doc && doc.defaultView ? doc.defaultView.frameElement : null;
+  return frame && frame.classList.contains('docs-texteventtarget-iframe') ? event.target : null;
 }
 
+registerPlatformAdapter({
+  id: 'gmail',
+  // Google Chat inside Gmail lives under mail.google.com/chat instead
+  matches: url => url.includes('mail.google.com/mail'),
+  // Only the body of a compose or reply window - not the search box, recipients or subject line
+  getPasteTarget: event => {
+    const target = event.target && event.target.closest ? event.target.closest('[contenteditable="true"]') : null;
+    return target && target.matches('[g_editable="true"], [role="textbox"]') ? target : null;
+  },
+  insertLinks: (tokens, target, context) => insertMultiLinkContent(target, tokens, context.savedRange)
+});
+
+registerPlatformAdapter({
+  id: 'google-docs',
+  matches: url => url.includes('docs.google.com/document'),
+  getPasteTarget: getGoogleEditorPasteTarget,
+  insertLinks: pasteMultiLinkIntoGoogleEditor
+});
+
+registerPlatformAdapter({
+  id: 'google-slides',
+  matches: url => url.includes('docs.google.com/presentation'),
+  getPasteTarget: getGoogleEditorPasteTarget,
+  insertLinks: pasteMultiLinkIntoGoogleEditor
+});
+
 // Helper function to generate a unique key for an element
 function getElementKey(element) {
   // Create a unique identifier based on tag name and timestamp
@@ -118,6 +270,12 @@ function extractIssueKey(url) {
     return selectedIssueMatch[1];
   }
   
+  // Then the issue path, so hosts like jira-7.example.com aren't mistaken for a key
+  const pathMatch = url.match(/\/(?:browse|issues|servicedesk\/customer\/portal\/\d+)\/([A-Z][A-Z0-9_]*-\d+)/i);
+  if (pathMatch) {
+    return pathMatch[1];
+  }
+  
   const match = url.match(ISSUE_KEY_REGEX);
   return match ? match[1] : null;
 }
@@ -134,8 +292,7 @@ function normalizeJiraUrl(url) {
   // For Jira URLs, construct a clean URL without query params
   if (url.includes('/browse/') || url.includes('/issues/')) {
     try {
-      const urlObj = new URL(url);
-      const baseUrl = `${urlObj.protocol}//${urlObj.hostname}`;
+      const baseUrl = getJiraBaseUrl(url);
       // Determine which path format is used
       if (url.includes('/browse/')) {
         return `${baseUrl}/browse/${issueKey}`;
@@ -172,10 +329,7 @@ function transformJiraUrls(text) {
     { action: 'fetchJiraTitle', url: jiraUrl },
     response => {
       if (response && response.title) {
-        titleCache[jiraUrl] = {
-          title: response.title,
-          issueType: response.issueType
-        };
+        titleCache[jiraUrl] = createCacheEntry(response);
         debugLog(`Cached issue type for ${jiraUrl}: ${response.issueType}`);
         // We can't modify the clipboard here directly since the paste has already happened
         // But we'll update for future pastes
@@ -208,6 +362,9 @@ function initPasteListeners(doc = document) {
   
   // Add document level paste listener only
   doc.addEventListener('paste', handlePasteEvent);
+  
+  // Typed issue keys are picked up from the editor's input events
+  doc.addEventListener('input', handleIssueKeyTyping);
 }
 
 // Function to update any elements with temporary titles
@@ -273,10 +430,7 @@ function updatePendingElements() {
         forceRefresh: FORCE_REFRESH
       }, response => {
         if (response && response.title && response.title !== tempText) {
-          titleCache[url] = {
-            title: response.title,
-            issueType: response.issueType
-          };
+          titleCache[url] = createCacheEntry(response);
         }
       });
       
@@ -476,12 +630,26 @@ function handlePasteEvent(event) {
     return;
   }
   
+  // Let the paste triggered by our own execCommand('paste') through untouched,
+  // even when fetching titles took longer than the dedupe window
+  if (window._allowNextPaste) {
+    debugLog('Allowing paste event through (triggered by our execCommand)');
+    window._allowNextPaste = false;
+    return;
+  }
+  
   // Check if we're on a supported platform before doing anything
   const platform = getCurrentPlatform();
   if (platform === 'unknown') {
     return;
   }
   
+  // Paused from the toolbar popup - let the paste through untouched
+  if (isBeautificationPaused(platform)) {
+    debugLog(`Beautification is paused on ${platform}, leaving the paste alone`);
+    return;
+  }
+  
   // Special case: Skip handling if we're in the Jira Cloud field in Asana
   if (platform === 'asana') {
     // Check if the paste is happening in a ProseMirror editor (task description) - ALWAYS priority
@@ -531,14 +699,9 @@ function handlePasteEvent(event) {
   const eventId = Date.now() + Math.random().toString(36).substring(2, 8);
   
   // SUPER AGGRESSIVE DEDUPE: Check if we've processed any paste event in the last 100ms
-  // BUT allow through if we set the flag (for execCommand-triggered pastes)
+  // (execCommand-triggered pastes were already let through above)
   const now = Date.now();
   if (now - window._jiraLinkLastPasteEventTime < window._jiraLinkEventDedupeWindow) {
-    if (window._allowNextPaste) {
-      debugLog(`[${eventId}] Allowing paste event through (triggered by our execCommand)`);
-      window._allowNextPaste = false;
-      return; // Let it through without processing (native paste will happen)
-    }
     debugLog(`[${eventId}] BLOCKING: Another paste event was processed in the last ${window._jiraLinkEventDedupeWindow}ms`);
     event.preventDefault();
     event.stopPropagation();
@@ -569,36 +732,34 @@ function handlePasteEvent(event) {
     if (!pastedText) return;
     
     // Sanitize the pasted text by removing extra newlines
-    const sanitizedPastedText = pastedText.replace(/\r?\n/g, '');
-
-    // NEW: Only intercept if it's a single link without additional text
-    // Check if this is a single JIRA or Asana link without additional text
-    const isJiraUrl = JIRA_URL_REGEX.test(sanitizedPastedText);
-    const probablyJiraUrl = /https?:\/\/.*jira.*\/|https?:\/\/.*atlassian\.net\//.test(sanitizedPastedText) || 
-                           sanitizedPastedText.includes('/issues/') ||
-                           sanitizedPastedText.includes('/browse/');
+    let sanitizedPastedText = pastedText.replace(/\r?\n/g, '');
     
-    let isAsanaUrl = false;
-    try {
-      isAsanaUrl = ASANA_URL_REGEX.test(sanitizedPastedText);
-      
-      // Alternative check if the regex fails
-      if (!isAsanaUrl && sanitizedPastedText.includes('app.asana.com')) {
-        isAsanaUrl = sanitizedPastedText.indexOf('app.asana.com') !== -1;
-      }
-    } catch (error) {
-      debugLog(`Error testing Asana URL regex: ${error.message}`);
+    // A bare issue key of a configured project is pasted as if it were its /browse/ URL
+    const issueKeyUrl = extensionSettings.beautifyIssueKeys ? 
+      getIssueKeyUrl(sanitizedPastedText, extensionSettings.issueKeyProjects) : null;
+    if (issueKeyUrl) {
+      debugLog(`[${eventId}] Pasted issue key ${sanitizedPastedText.trim()} stands for ${issueKeyUrl}`);
+      sanitizedPastedText = issueKeyUrl;
+    }
+    const trimmedPastedText = sanitizedPastedText.trim();
+    
+    // Only a single link without additional text is handed to its provider directly
+    // Links that merely look like Jira issues (on a host we don't know yet) are treated as Jira's
+    let provider = null;
+    if (/^https?:\/\/[^\s]+$/.test(trimmedPastedText)) {
+      provider = findLinkProvider(trimmedPastedText) || 
+                 (looksLikeJiraUrl(trimmedPastedText) ? getLinkProviderById('jira') : null);
     }
-
-    // Check if the pasted text contains only a single link
-    const isSingleJiraLink = (isJiraUrl || probablyJiraUrl) && 
-                            /^https?:\/\/[^\s]+$/.test(sanitizedPastedText.trim());
-    const isSingleAsanaLink = isAsanaUrl && 
-                             /^https?:\/\/[^\s]+$/.test(sanitizedPastedText.trim());
     
     // If it's not a single link, don't intercept
-    if (!isSingleJiraLink && !isSingleAsanaLink) {
-      debugLog(`[${eventId}] Not intercepting paste as it's not a single JIRA or Asana link: "${sanitizedPastedText.substring(0, 50)}..."`);
+    if (!provider) {
+      // Unless it's text with links in it and multi-link pastes are enabled
+      if (extensionSettings.beautifyMultiLinkPastes && 
+          handleMultiLinkPaste(event, pastedText, platform, eventId)) {
+        return;
+      }
+      
+      debugLog(`[${eventId}] Not intercepting paste as it's not a single recognized link: "${sanitizedPastedText.substring(0, 50)}..."`);
       return;
     }
     
@@ -609,672 +770,946 @@ function handlePasteEvent(event) {
       return;
     }
     
-    // Handle Asana links when pasting into Google Chat
-    if (isAsanaUrl && platform === 'google-chat') {
-      debugLog(`[${eventId}] Intercepted paste of potential Asana URL: ${sanitizedPastedText}`);
-      
-      // Extract the task ID from the URL
-      let taskId = null;
-      try {
-        // Priority 1: Check for /item/ format (specific to inbox/search views)
-        // This handles https://app.asana.com/.../item/TASK_ID/...
-        const itemMatch = sanitizedPastedText.match(/\/item\/(\d+)/);
-        if (itemMatch) {
-           taskId = itemMatch[1];
-           debugLog(`Extracted Asana task ID from /item/ segment: ${taskId}`);
-        }
-
-        // Priority 2: Check for /task/ format
-        if (!taskId) {
-           const taskMatch = sanitizedPastedText.match(/\/task\/(\d+)/);
-           if (taskMatch) {
-              taskId = taskMatch[1];
-              debugLog(`Extracted Asana task ID from /task/ segment: ${taskId}`);
-           }
-        }
+    // Providers with a paste of their own (Jira shows a "Loading..." link straight away) use it in Chat
+    // and Asana; everything else goes through the multi-link insertion paths of Sheets and the adapters
+    if (provider.pasteSingleLink && (platform === 'google-chat' || platform === 'asana')) {
+      provider.pasteSingleLink(event, sanitizedPastedText, platform, eventId);
+      return;
+    }
+    
+    debugLog(`[${eventId}] Intercepted paste of ${provider.id} URL: ${trimmedPastedText}`);
+    handleMultiLinkPaste(event, trimmedPastedText, platform, eventId, provider.id);
+  } catch (error) {
+    // Log any errors but don't interrupt the user's experience
+    // Error in paste handler - fail silently in production
+    if (DEBUG) console.error(`[${eventId}] Jira Link Extension paste handler error:`, error);
+  }
+}
 
-        // Priority 3: First try with standard regex
-        if (!taskId) {
-          const taskIdMatch = sanitizedPastedText.match(ASANA_TASK_ID_REGEX);
-          taskId = taskIdMatch ? taskIdMatch[1] : null;
-          if (taskId) debugLog(`Extracted Asana task ID via regex: ${taskId}`);
-        }
-        
-        // If that fails too, try various URL segment extraction techniques
-        if (!taskId) {
-          // Try to get the second-to-last segment of the URL (to handle /f at the end)
-          const urlParts = sanitizedPastedText.split('/');
-          if (urlParts.length > 1) {
-            // Check if the last part is 'f'
-            if (urlParts[urlParts.length - 1] === 'f' && urlParts.length > 2) {
-              const secondToLast = urlParts[urlParts.length - 2];
-              if (/^\d+$/.test(secondToLast)) {
-                taskId = secondToLast;
-                debugLog(`Extracted Asana task ID from second-to-last segment: ${taskId}`);
-              }
-            } else if (urlParts[urlParts.length - 1].startsWith('?') && urlParts.length > 2) {
-              // Check if the last part starts with a query parameter
-              const secondToLast = urlParts[urlParts.length - 2];
-              if (/^\d+$/.test(secondToLast)) {
-                taskId = secondToLast;
-                debugLog(`Extracted Asana task ID from segment before query: ${taskId}`);
-              }
-            } else {
-              // Look for the largest numeric segment which is likely the task ID
-              let maxDigits = 0;
-              for (const part of urlParts) {
-                if (/^\d+$/.test(part) && part.length > maxDigits) {
-                  taskId = part;
-                  maxDigits = part.length;
-                }
-              }
-              if (taskId) {
-                debugLog(`Extracted Asana task ID from largest numeric segment: ${taskId}`);
-              }
-            }
-          }
-        }
-      } catch (error) {
-        debugLog(`Error extracting Asana task ID: ${error.message}`);
-      }
-      
-      if (!taskId) {
-        debugLog(`[${eventId}] Failed to extract task ID from Asana URL, falling back to default paste`);
-        return;
-      }
-      
-      // Prevent the default paste which would insert the URL as text
-      event.preventDefault();
-      event.stopPropagation();
-      
-      // Find the active element where the paste was intended
-      const activeElement = document.activeElement;
-      if (!activeElement) {
-        debugLog(`[${eventId}] No active element found for paste`);
-        return;
-      }
-      
-      // Check if the active element is editable
-      const isEditable = activeElement.isContentEditable || 
-                         activeElement.tagName === 'TEXTAREA' || 
-                         activeElement.tagName === 'INPUT';
-      
-      if (!isEditable) {
-        debugLog(`[${eventId}] Active element is not editable`);
-        return;
+// Function to paste a single Jira issue link into Google Chat or Asana
+// A "KEY: Loading..." link goes in straight away and is replaced once the title arrives
+function pasteSingleJiraLink(event, url, platform, eventId) {
+  debugLog(`[${eventId}] Intercepted paste of potential Jira URL: ${url}`);
+  
+  // Extract the issue key from the URL
+  const issueKey = extractIssueKey(url);
+  if (!issueKey) {
+    debugLog(`[${eventId}] Failed to extract issue key from URL, falling back to default paste`);
+    return;
+  }
+  
+  // Prevent the default paste which would insert the URL as text
+  event.preventDefault();
+  event.stopPropagation();
+  
+  // Find the active element where the paste was intended
+  const activeElement = document.activeElement;
+  if (!activeElement) {
+    debugLog(`[${eventId}] No active element found for paste`);
+    return;
+  }
+  
+  // Check if the active element is editable
+  const isEditable = activeElement.isContentEditable || 
+                    activeElement.tagName === 'TEXTAREA' || 
+                    activeElement.tagName === 'INPUT';
+  
+  if (!isEditable) {
+    debugLog(`[${eventId}] Active element is not editable`);
+    return;
+  }
+  
+  // Extra check for Asana to confirm we're in the right element
+  if (platform === 'asana') {
+    // Check if we're in the ProseMirror editor
+    let inProseMirror = false;
+    let currentEl = activeElement;
+    
+    // Look through the parent chain to find ProseMirror elements
+    while (currentEl && !inProseMirror) {
+      if (currentEl.classList && 
+          (currentEl.classList.contains('ProsemirrorEditor-editor') || 
+           currentEl.classList.contains('ProsemirrorEditor-paragraph') ||
+           currentEl.classList.contains('ProsemirrorEditor-content'))) {
+        inProseMirror = true;
       }
+      currentEl = currentEl.parentElement;
+    }
+    
+    // If we're in a ProseMirror editor, we should definitely proceed with beautification
+    // This explicitly overrides any previous detection that might have marked this as a Jira Cloud field
+    if (inProseMirror) {
+      debugLog(`[${eventId}] Asana paste - In ProseMirror editor (task description): ${inProseMirror}`);
       
-      // Record this paste to prevent duplicates
-      window._lastPastedText = sanitizedPastedText;
-      window._lastPasteTime = Date.now();
-      
-      // Generate a temporary text to use while we fetch the title
-      const tempText = `✔️ Asana Task ${taskId} (loading...)`;
+      // Forcibly skip any previous detection that marked this as a Jira Cloud field
+      event._jiraCloudFieldDetected = false;
+    } else {
+      debugLog(`[${eventId}] Asana paste - Not in ProseMirror editor: ${inProseMirror}`);
+    }
+  }
+  
+  insertJiraLink(activeElement, url, platform, eventId);
+}
+
+// Function to insert a beautified Jira issue link at the selection in Google Chat or Asana
+// Used for pasted links and for issue keys as they're typed
+function insertJiraLink(activeElement, url, platform, eventId) {
+  const issueKey = extractIssueKey(url);
+  
+  // Record this paste to prevent duplicates
+  window._lastPastedText = url;
+  window._lastPasteTime = Date.now();
+  
+  // Normalize URL for cache lookup (removes query params like ?search_id=...)
+  const normalizedUrl = normalizeJiraUrl(url);
+  
+  // Check if we already have the title cached (try both original and normalized URL)
+  const cachedData = titleCache[url] || titleCache[normalizedUrl];
+  if (cachedData) {
+    // Use cached title - but ensure it's properly formatted 
+    const cleanedTitle = cleanDisplayText(cachedData.title, url, platform);
+    const issueType = cachedData.issueType || "Unknown";
+    debugLog(`[${eventId}] Using cached title: ${cleanedTitle}`);
+    debugLog(`[${eventId}] Using cached issue type: ${issueType}`);
+    
+    // Insert with proper formatting based on platform
+    if (platform === 'asana') {
+      const success = pasteFormattedLinkAsana(activeElement, url, cleanedTitle, issueType);
+      debugLog(`[${eventId}] Asana paste result: ${success ? 'success' : 'failed'}`);
       
-      // Check if we already have the title cached
-      if (titleCache[sanitizedPastedText] && titleCache[sanitizedPastedText].title && 
-          !titleCache[sanitizedPastedText].title.toLowerCase().includes('redirect')) {
-        // Use cached title
-        const displayText = `✔️ ${titleCache[sanitizedPastedText].title}`;
-        debugLog(`[${eventId}] Using cached Asana title: ${displayText}`);
-        
-        // Insert with proper formatting
-        pasteFormattedLink(activeElement, sanitizedPastedText, displayText, "AsanaTask");
-        
-        // Set up a follow-up check to ensure no URL was left behind
+      // Add a quick follow-up to check for partial links in Asana
+      if (success && platform === 'asana') {
         setTimeout(() => {
-          cleanupLeftoverUrls(activeElement, sanitizedPastedText);
-        }, 50);
-      } else {
-        // Use temporary text while fetching the title
-        pasteFormattedLink(activeElement, sanitizedPastedText, tempText, "AsanaTask");
-        
-        // Request title from background script
-        chrome.runtime.sendMessage({
-          action: 'fetchAsanaTitle',
-          url: sanitizedPastedText,
-          taskId: taskId,
-          forceRefresh: FORCE_REFRESH
-        }, response => {
-          if (response && response.title && 
-              !response.title.toLowerCase().includes('redirect')) {
-            debugLog(`[${eventId}] Received Asana title from background: ${response.title}`);
-            
-            // Cache the title
-            titleCache[sanitizedPastedText] = {
-              title: response.title,
-              issueType: "AsanaTask"
-            };
-            
-            // Format the display text with the Asana emoji
-            const displayText = `✔️ ${response.title}`;
-            
-            // Update the instance we just inserted
-            const success = replaceLastPastedJiraLink(activeElement, tempText, sanitizedPastedText, displayText, "AsanaTask");
-            
-            if (success) {
-              debugLog(`[${eventId}] Successfully updated the link with the fetched Asana title`);
-              
-              // Add a small delay before checking for any leftover URLs
-              setTimeout(() => {
-                cleanupLeftoverUrls(activeElement, sanitizedPastedText);
-              }, 100);
-            } else {
-              debugLog(`[${eventId}] Failed to update the link, tracking element for later update`);
-              trackElementForTitleUpdate(activeElement, sanitizedPastedText, tempText, platform);
-            }
-          } else {
-            debugLog(`[${eventId}] Failed to get proper Asana title from background script, got: ${response?.title || 'no response'}`);
-            
-            // Even if we get "Redirecting", we should still cache it to avoid multiple fetch attempts
-            if (response && response.title) {
-              // Cache the title but mark it as incomplete
-              titleCache[sanitizedPastedText] = {
-                title: `Asana Task ${taskId}`,
-                issueType: "AsanaTask",
-                needsAuth: true
-              };
-              
-              // Update link to a friendly format instead of showing "Redirecting"
-              const displayText = `✔️ Asana Task ${taskId}`;
-              replaceLastPastedJiraLink(activeElement, tempText, sanitizedPastedText, displayText, "AsanaTask");
+          // Look for potential partial links in paragraphs
+          const paragraphs = document.querySelectorAll('p.ProsemirrorEditor-paragraph');
+          for (const paragraph of paragraphs) {
+            const links = paragraph.querySelectorAll('a.ProsemirrorEditor-link');
+            for (const link of links) {
+              if ((link.href === url || link.href.includes(url)) &&
+                  paragraph.textContent !== link.textContent && 
+                  paragraph.textContent.includes(issueKey)) {
+                // Found partial link - fix it
+                debugLog(`[${eventId}] Found partial link after paste, fixing it`);
+                paragraph.innerHTML = `[${cleanedTitle}](${url})`;
+                paragraph.setAttribute('data-issue-type', issueType);
+                paragraph.dispatchEvent(new Event('input', { bubbles: true }));
+                paragraph.dispatchEvent(new Event('change', { bubbles: true }));
+                break;
+              }
             }
           }
-        });
+        }, 100);
       }
+    } else {
+      pasteFormattedLink(activeElement, url, cleanedTitle, issueType);
+    }
+    
+    // Set up a follow-up check to ensure no URL was left behind
+    setTimeout(() => {
+      cleanupLeftoverUrls(activeElement, url);
+    }, 50);
+  } else {
+    // Prepare a temporary text while we fetch the title
+    // For Google Chat use a temporary message
+    const tempText = `${issueKey}: Loading...`;
+    
+    // For Asana, we'll handle this differently
+    if (platform === 'asana') {
+      // For Asana, just paste the plain URL first and replace it completely when we get the title
+      // This avoids the link breaking issue when updating
+      debugLog(`[${eventId}] Asana: Using direct URL paste initially, will replace completely when title is fetched`);
       
-      // Monitor the active element for link changes
-      setupMutationObserver(activeElement);
-      
-      // Also watch the send button in case the message is sent before the title is fetched
-      monitorSendButton();
+      // Insert the raw URL first - this will be plain text, not a link
+      document.execCommand('insertText', false, issueKey);
       
-      return; // We've handled the Asana URL, no need to check for Jira URLs
+      // Set up a longer tracking of this element for title replacement
+      trackElementForTitleUpdate(activeElement, url, issueKey, platform);
+    } else {
+      // For Google Chat, use the temp text approach which works fine
+      pasteFormattedLink(activeElement, url, tempText, "Unknown");
     }
     
-    // Handle Asana links when pasting into Google Sheets
-    if (isSingleAsanaLink && platform === 'google-sheets') {
-      debugLog(`[${eventId}] Intercepted paste of Asana URL in Google Sheets: ${sanitizedPastedText}`);
-      
-      // Extract the task ID from the URL (same logic as Google Chat)
-      let taskId = null;
-      try {
-        // Priority 1: Check for /item/ format (specific to inbox/search views)
-        const itemMatch = sanitizedPastedText.match(/\/item\/(\d+)/);
-        if (itemMatch) {
-          taskId = itemMatch[1];
-          debugLog(`Extracted Asana task ID from /item/ segment: ${taskId}`);
-        }
-
-        // Priority 2: Check for /task/ format
-        if (!taskId) {
-          const taskMatch = sanitizedPastedText.match(/\/task\/(\d+)/);
-          if (taskMatch) {
-            taskId = taskMatch[1];
-            debugLog(`Extracted Asana task ID from /task/ segment: ${taskId}`);
-          }
-        }
-
-        // Priority 3: Standard regex
-        if (!taskId) {
-          const taskIdMatch = sanitizedPastedText.match(ASANA_TASK_ID_REGEX);
-          taskId = taskIdMatch ? taskIdMatch[1] : null;
-          if (taskId) debugLog(`Extracted Asana task ID via regex: ${taskId}`);
-        }
+    // Request title from background script
+    chrome.runtime.sendMessage({
+      action: 'fetchJiraTitle',
+      url: url,
+      forceRefresh: FORCE_REFRESH
+    }, response => {
+      if (response && response.title) {
+        debugLog(`[${eventId}] Received title from background: ${response.title}`);
+        debugLog(`[${eventId}] Issue type: ${response.issueType}`);
         
-        // Priority 4: Fallback - largest numeric segment
-        if (!taskId) {
-          const urlParts = sanitizedPastedText.split('/');
-          let maxDigits = 0;
-          for (const part of urlParts) {
-            if (/^\d+$/.test(part) && part.length > maxDigits) {
-              taskId = part;
-              maxDigits = part.length;
-            }
-          }
-          if (taskId) {
-            debugLog(`Extracted Asana task ID from largest numeric segment: ${taskId}`);
-          }
+        // Cache the title, issue type and status under both original and normalized URL
+        const cacheData = createCacheEntry(response);
+        titleCache[url] = cacheData;
+        if (normalizedUrl !== url) {
+          titleCache[normalizedUrl] = cacheData;
         }
-      } catch (error) {
-        debugLog(`Error extracting Asana task ID: ${error.message}`);
-      }
-      
-      if (!taskId) {
-        debugLog(`[${eventId}] Failed to extract task ID from Asana URL, falling back to default paste`);
-        return;
-      }
-      
-      // Prevent default paste immediately
-      event.preventDefault();
-      event.stopPropagation();
-      
-      // Record this paste to prevent duplicates
-      window._lastPastedText = sanitizedPastedText;
-      window._lastPasteTime = Date.now();
-      
-      // Store the original URL to restore clipboard later
-      const originalUrl = sanitizedPastedText;
-      
-      // Function to paste text into Google Sheets
-      const pasteIntoSheets = (text) => {
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-          navigator.clipboard.writeText(text).then(() => {
-            debugLog(`[${eventId}] Wrote to clipboard: "${text.substring(0, 50)}..."`);
-            
-            // Focus the active element and trigger paste command
-            const activeEl = document.activeElement;
-            activeEl.focus();
-            
-            // Set flag to allow the next paste event through (triggered by execCommand)
-            window._allowNextPaste = true;
-            
-            // Use execCommand paste which will read from system clipboard
-            const success = document.execCommand('paste');
-            debugLog(`[${eventId}] execCommand paste result: ${success}`);
-            
-            if (!success) {
-              window._allowNextPaste = false;
-              // Try direct insertion as fallback
-              insertTextIntoGoogleSheets(activeEl, text);
-            }
-            
-            // Restore original URL to clipboard so user can paste it elsewhere if needed
-            setTimeout(() => {
-              navigator.clipboard.writeText(originalUrl).catch(() => {});
-            }, 200);
-          }).catch(err => {
-            debugLog(`[${eventId}] Clipboard write failed: ${err.message}`);
-            insertTextIntoGoogleSheets(document.activeElement, text);
-          });
+        
+        // Ensure the title is clean with no URL or duplicate issue keys
+        const cleanedTitle = cleanDisplayText(response.title, url, platform);
+        
+        // Update the instance we just inserted, using platform-specific logic
+        let success = false;
+        if (platform === 'asana') {
+          // For Asana, find where we put the issue key and replace it with the full markdown link
+          success = replaceTextWithLink(activeElement, issueKey, url, cleanedTitle, response.issueType);
+          debugLog(`[${eventId}] Asana update result: ${success ? 'success' : 'failed'}`);
         } else {
-          insertTextIntoGoogleSheets(document.activeElement, text);
+          success = replaceLastPastedJiraLink(activeElement, tempText, url, cleanedTitle, response.issueType);
         }
-      };
-      
-      // Check if we already have the title cached
-      if (titleCache[sanitizedPastedText] && titleCache[sanitizedPastedText].title && 
-          !titleCache[sanitizedPastedText].title.toLowerCase().includes('redirect')) {
-        // Use cached title - create HYPERLINK formula (no emoji for Sheets)
-        // Escape double quotes in title for Google Sheets formula
-        const title = titleCache[sanitizedPastedText].title.replace(/"/g, '""');
-        const textToPaste = `=HYPERLINK("${sanitizedPastedText}", "${title}")`;
-        debugLog(`[${eventId}] Using cached Asana title for Sheets: ${title}`);
-        pasteIntoSheets(textToPaste);
-      } else {
-        // No cached title - fetch it first, THEN paste
-        debugLog(`[${eventId}] Fetching Asana title before pasting...`);
         
-        chrome.runtime.sendMessage({
-          action: 'fetchAsanaTitle',
-          url: sanitizedPastedText,
-          taskId: taskId,
-          forceRefresh: FORCE_REFRESH
-        }, response => {
-          let textToPaste;
-          
-          if (response && response.title && 
-              !response.title.toLowerCase().includes('redirect')) {
-            debugLog(`[${eventId}] Received Asana title from background: ${response.title}`);
-            
-            // Cache the title
-            titleCache[sanitizedPastedText] = {
-              title: response.title,
-              issueType: "AsanaTask"
-            };
-            
-            // Escape double quotes in title for Google Sheets formula
-            const escapedTitle = response.title.replace(/"/g, '""');
-            // Create HYPERLINK formula with actual title (no emoji for Sheets)
-            textToPaste = `=HYPERLINK("${sanitizedPastedText}", "${escapedTitle}")`;
-          } else {
-            debugLog(`[${eventId}] Failed to get Asana title, using fallback`);
-            // Fallback to just the task ID (no emoji for Sheets)
-            textToPaste = `=HYPERLINK("${sanitizedPastedText}", "Asana Task ${taskId}")`;
-          }
+        if (success) {
+          debugLog(`[${eventId}] Successfully updated the link with the fetched title`);
           
-          // Now paste the text
-          pasteIntoSheets(textToPaste);
-        });
-      }
-      
-      return; // We've handled the Asana URL in Google Sheets
-    }
-    
-    // Handle Jira links when pasting into Google Sheets
-    if (isSingleJiraLink && platform === 'google-sheets') {
-      debugLog(`[${eventId}] Intercepted paste of Jira URL in Google Sheets: ${sanitizedPastedText}`);
-      
-      // Extract the issue key from the URL
-      const issueKey = extractIssueKey(sanitizedPastedText);
-      if (!issueKey) {
-        debugLog(`[${eventId}] Failed to extract issue key from Jira URL, falling back to default paste`);
-        return;
-      }
-      
-      // Prevent default paste immediately
-      event.preventDefault();
-      event.stopPropagation();
-      
-      // Record this paste to prevent duplicates
-      window._lastPastedText = sanitizedPastedText;
-      window._lastPasteTime = Date.now();
-      
-      // Store the original URL to restore clipboard later
-      const originalUrl = sanitizedPastedText;
-      
-      // Function to paste text into Google Sheets
-      const pasteJiraIntoSheets = (text) => {
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-          navigator.clipboard.writeText(text).then(() => {
-            debugLog(`[${eventId}] Wrote Jira to clipboard: "${text.substring(0, 50)}..."`);
-            
-            // Focus the active element and trigger paste command
-            const activeEl = document.activeElement;
-            activeEl.focus();
-            
-            // Set flag to allow the next paste event through (triggered by execCommand)
-            window._allowNextPaste = true;
-            
-            // Use execCommand paste which will read from system clipboard
-            const success = document.execCommand('paste');
-            debugLog(`[${eventId}] execCommand paste result: ${success}`);
-            
-            if (!success) {
-              window._allowNextPaste = false;
-              // Try direct insertion as fallback
-              insertTextIntoGoogleSheets(activeEl, text);
-            }
-            
-            // Restore original URL to clipboard so user can paste it elsewhere if needed
-            setTimeout(() => {
-              navigator.clipboard.writeText(originalUrl).catch(() => {});
-            }, 200);
-          }).catch(err => {
-            debugLog(`[${eventId}] Clipboard write failed: ${err.message}`);
-            insertTextIntoGoogleSheets(document.activeElement, text);
-          });
+          // Add a small delay before checking for any leftover URLs
+          setTimeout(() => {
+            cleanupLeftoverUrls(activeElement, url);
+          }, 100);
         } else {
-          insertTextIntoGoogleSheets(document.activeElement, text);
-        }
-      };
-      
-      // Normalize URL for cache lookup (removes query params like ?search_id=...)
-      const normalizedUrl = normalizeJiraUrl(sanitizedPastedText);
-      
-      // Check if we already have the title cached (try both original and normalized URL)
-      const cachedData = titleCache[sanitizedPastedText] || titleCache[normalizedUrl];
-      if (cachedData && cachedData.title) {
-        // Use cached title - create HYPERLINK formula (no emoji, no issue key for Sheets)
-        // Extract just the title part (remove issue key if present)
-        let title = cachedData.title;
-        // Remove issue key prefix if present (e.g., "PROJ-123: Title" -> "Title")
-        const titleMatch = title.match(/^[A-Z]+-\d+:\s*(.+)$/i);
-        if (titleMatch) {
-          title = titleMatch[1];
-        }
-        // If title is just "Jira Issue" (fallback), use the issue key instead
-        if (title === 'Jira Issue' || title === 'Jira issue') {
-          title = issueKey;
+          debugLog(`[${eventId}] Failed to update the link, tracking element for later update`);
+          trackElementForTitleUpdate(activeElement, url, tempText, platform);
         }
-        // Escape double quotes in title for Google Sheets formula
-        title = title.replace(/"/g, '""');
-        const textToPaste = `=HYPERLINK("${sanitizedPastedText}", "${title}")`;
-        debugLog(`[${eventId}] Using cached Jira title for Sheets: ${title}`);
-        pasteJiraIntoSheets(textToPaste);
       } else {
-        // No cached title - fetch it first, THEN paste
-        debugLog(`[${eventId}] Fetching Jira title before pasting...`);
-        
-        chrome.runtime.sendMessage({
-          action: 'fetchJiraTitle',
-          url: sanitizedPastedText,
-          forceRefresh: FORCE_REFRESH
-        }, response => {
-          let textToPaste;
-          
-          if (response && response.title) {
-            debugLog(`[${eventId}] Received Jira title from background: ${response.title}`);
-            
-            // Cache the title under both original and normalized URL for better cache hits
-            const cacheData = {
-              title: response.title,
-              issueType: response.issueType || "Unknown"
-            };
-            titleCache[sanitizedPastedText] = cacheData;
-            if (normalizedUrl !== sanitizedPastedText) {
-              titleCache[normalizedUrl] = cacheData;
-            }
-            
-            // Extract just the title part (remove issue key if present)
-            let title = response.title;
-            const titleMatch = title.match(/^[A-Z]+-\d+:\s*(.+)$/i);
-            if (titleMatch) {
-              title = titleMatch[1];
-            }
-            // If title is just "Jira Issue" (fallback), use the issue key instead
-            if (title === 'Jira Issue' || title === 'Jira issue') {
-              title = issueKey;
-            }
-            // Escape double quotes in title for Google Sheets formula
-            title = title.replace(/"/g, '""');
-            
-            // Create HYPERLINK formula with just the title (no emoji, no issue key for Sheets)
-            textToPaste = `=HYPERLINK("${sanitizedPastedText}", "${title}")`;
-          } else {
-            debugLog(`[${eventId}] Failed to get Jira title, using fallback`);
-            // Fallback to issue key only
-            textToPaste = `=HYPERLINK("${sanitizedPastedText}", "${issueKey}")`;
-          }
-          
-          // Now paste the text
-          pasteJiraIntoSheets(textToPaste);
-        });
-      }
-      
-      return; // We've handled the Jira URL in Google Sheets
-    }
-    
-    // Continue with Jira URL handling (for other platforms)
-    if (isJiraUrl || probablyJiraUrl) {
-      debugLog(`[${eventId}] Intercepted paste of potential Jira URL: ${sanitizedPastedText}`);
-      
-      // Extract the issue key from the URL
-      const issueKey = extractIssueKey(sanitizedPastedText);
-      if (!issueKey) {
-        debugLog(`[${eventId}] Failed to extract issue key from URL, falling back to default paste`);
-        return;
-      }
-      
-      // Prevent the default paste which would insert the URL as text
-      event.preventDefault();
-      event.stopPropagation();
-      
-      // Find the active element where the paste was intended
-      const activeElement = document.activeElement;
-      if (!activeElement) {
-        debugLog(`[${eventId}] No active element found for paste`);
-        return;
-      }
-      
-      // Check if the active element is editable
-      const isEditable = activeElement.isContentEditable || 
-                        activeElement.tagName === 'TEXTAREA' || 
-                        activeElement.tagName === 'INPUT';
-      
-      if (!isEditable) {
-        debugLog(`[${eventId}] Active element is not editable`);
-        return;
+        debugLog(`[${eventId}] Failed to get title from background script`);
       }
-      
-      // Extra check for Asana to confirm we're in the right element
-      if (platform === 'asana') {
-        // Check if we're in the ProseMirror editor
-        let inProseMirror = false;
-        let currentEl = activeElement;
-        
-        // Look through the parent chain to find ProseMirror elements
-        while (currentEl && !inProseMirror) {
-          if (currentEl.classList && 
-              (currentEl.classList.contains('ProsemirrorEditor-editor') || 
-               currentEl.classList.contains('ProsemirrorEditor-paragraph') ||
-               currentEl.classList.contains('ProsemirrorEditor-content'))) {
-            inProseMirror = true;
-          }
-          currentEl = currentEl.parentElement;
-        }
-        
-        // If we're in a ProseMirror editor, we should definitely proceed with beautification
-        // This explicitly overrides any previous detection that might have marked this as a Jira Cloud field
-        if (inProseMirror) {
-          debugLog(`[${eventId}] Asana paste - In ProseMirror editor (task description): ${inProseMirror}`);
-          
-          // Forcibly skip any previous detection that marked this as a Jira Cloud field
-          event._jiraCloudFieldDetected = false;
-        } else {
-          debugLog(`[${eventId}] Asana paste - Not in ProseMirror editor: ${inProseMirror}`);
-        }
+    });
+  }
+  
+  // Monitor the active element for link changes
+  setupMutationObserver(activeElement);
+  
+  // Also watch the send button in case the message is sent before the title is fetched
+  if (platform === 'google-chat') {
+    monitorSendButton();
+  }
+}
+
+// Set while a typed issue key is being replaced, so the text inserted for it isn't taken for more typing
+let isReplacingTypedIssueKey = false;
+
+// Function to beautify a bare issue key as soon as it's typed and followed by a space
+// The key and the space are replaced with the link as if its /browse/ URL had been pasted
+function handleIssueKeyTyping(event) {
+  if (!extensionSettings.beautifyIssueKeys || !extensionSettings.beautifyTypedIssueKeys) return;
+  if (isReplacingTypedIssueKey) return;
+  if (event.isComposing || event.inputType !== 'insertText' || !/^[ \u00a0]$/.test(event.data || '')) return;
+  
+  const platform = getCurrentPlatform();
+  if (platform !== 'google-chat' && platform !== 'asana') return;
+  if (isBeautificationPaused(platform)) return;
+  
+  const element = event.target && event.target.closest ? event.target.closest('[contenteditable="true"]') : null;
+  if (!element) return;
+  
+  const doc = element.ownerDocument;
+  const selection = doc.getSelection();
+  if (!selection || !selection.isCollapsed || selection.rangeCount === 0) return;
+  
+  // Only plain text right before the caret - keys inside existing links stay as they are
+  const node = selection.anchorNode;
+  if (!node || node.nodeType !== Node.TEXT_NODE || (node.parentElement && node.parentElement.closest('a'))) return;
+  
+  const textBefore = node.nodeValue.substring(0, selection.anchorOffset);
+  const match = textBefore.match(/(?:^|[\s(\[])([A-Za-z]+-\d+)[ \u00a0]$/);
+  if (!match) return;
+  
+  const url = getIssueKeyUrl(match[1], extensionSettings.issueKeyProjects);
+  if (!url) return;
+  
+  const eventId = Date.now() + Math.random().toString(36).substring(2, 8);
+  debugLog(`[${eventId}] Typed issue key ${match[1]} stands for ${url}`);
+  
+  // Without a cached title Asana would get the bare key put back in - leave the typed key where it
+  // is instead, and replace it with the link once the title arrives, as with pasted links
+  if (platform === 'asana' && !titleCache[url] && !titleCache[normalizeJiraUrl(url)]) {
+    debugLog(`[${eventId}] Asana: no cached title yet, tracking the typed key for title replacement`);
+    // updatePendingLinks fetches the title and swaps the key for the link
+    trackElementForTitleUpdate(element, url, match[1], platform);
+    return;
+  }
+  
+  // Select the key and the space after it, so the link takes their place
+  const range = doc.createRange();
+  range.setStart(node, selection.anchorOffset - match[1].length - 1);
+  range.setEnd(node, selection.anchorOffset);
+  selection.removeAllRanges();
+  selection.addRange(range);
+  
+  isReplacingTypedIssueKey = true;
+  try {
+    insertJiraLink(element, url, platform, eventId);
+    
+    // Put the space back after the link so typing carries on as before
+    doc.execCommand('insertText', false, event.data);
+  } finally {
+    isReplacingTypedIssueKey = false;
+  }
+}
+
+// Helper function to extract an Asana task ID from a URL
+function extractAsanaTaskId(url) {
+  const itemMatch = url.match(/\/item\/(\d+)/);
+  if (itemMatch) return itemMatch[1];
+  
+  const taskMatch = url.match(/\/task\/(\d+)/);
+  if (taskMatch) return taskMatch[1];
+  
+  const taskIdMatch = url.match(ASANA_TASK_ID_REGEX);
+  if (taskIdMatch) return taskIdMatch[1];
+  
+  // Fall back to the largest numeric segment, which is usually the task ID
+  let taskId = null;
+  for (const part of url.split('/')) {
+    if (/^\d+$/.test(part) && (!taskId || part.length > taskId.length)) {
+      taskId = part;
+    }
+  }
+  return taskId;
+}
+
+// Helper function to check if a URL is a Confluence page, blog post or tiny link
+function isConfluenceUrl(url) {
+  const match = url ? url.match(CONFLUENCE_URL_REGEX) : null;
+  return !!match && match.index === 0;
+}
+
+// Helper function to check if a URL is a Jira Service Management customer portal request
+function isServiceDeskUrl(url) {
+  const match = url ? url.match(JIRA_PORTAL_URL_REGEX) : null;
+  return !!match && match.index === 0;
+}
+
+// Helper function to check if a URL is a Jira board, backlog, saved filter or JQL search
+// A board URL with ?selectedIssue= is an issue link instead
+function isJiraViewUrl(url) {
+  const match = url ? url.match(JIRA_VIEW_URL_REGEX) : null;
+  return !!match && match.index === 0 && !/[?&]selectedIssue=/i.test(url);
+}
+
+// Registered link providers, checked in order - the first one whose matcher accepts a URL handles it.
+// A provider is { id, matches(url), titleAction, defaultIssueType(url), formatLinkText(data, url, platform),
+// isBeautified(text, url, cachedData) } and may add normalizeUrl(url) for cache keys, hoverCard: false
+// to go without hover cards, hoverCardIcon(url) and pasteSingleLink(event, url, platform, eventId)
+// for a paste of its own. formatLinkText gets data = null while the title is unknown
+const LINK_PROVIDERS = [];
+
+// Function to add a link provider; providers registered first win when several match a URL
+function registerLinkProvider(provider) {
+  LINK_PROVIDERS.push(provider);
+}
+
+// Helper function to find the provider that handles a URL
+function findLinkProvider(url) {
+  if (!url) return null;
+  return LINK_PROVIDERS.find(provider => provider.matches(url)) || null;
+}
+
+// Helper function to get a registered provider by its ID
+function getLinkProviderById(id) {
+  return LINK_PROVIDERS.find(provider => provider.id === id) || null;
+}
+
+// Helper function to work out which kind of link a URL is ('jira', 'jiraview', 'servicedesk', 'confluence', 'asana', 'github', 'gitlab', 'linear' or null)
+function getLinkProvider(url) {
+  const provider = findLinkProvider(url);
+  return provider ? provider.id : null;
+}
+
+// Helper function to check if a URL looks like a Jira issue even though its host isn't known yet
+function looksLikeJiraUrl(url) {
+  return JIRA_URL_REGEX.test(url) || 
+         /https?:\/\/.*jira.*\/|https?:\/\/.*atlassian\.net\//.test(url) || 
+         url.includes('/issues/') ||
+         url.includes('/browse/') ||
+         isConfiguredJiraUrl(url);
+}
+
+registerLinkProvider({
+  id: 'github',
+  matches: url => !!parseGitHubUrl(url),
+  titleAction: 'fetchGitHubTitle',
+  defaultIssueType: url => GITHUB_ISSUE_TYPES[parseGitHubUrl(url).kind],
+  formatLinkText: formatGitHubLinkText,
+  isBeautified: (text, url, cachedData) => 
+    text.includes(getGitHubLinkKey(parseGitHubUrl(url))) || (!!cachedData && !!cachedData.title && text.includes(cachedData.title)),
+  hoverCardIcon: url => GITHUB_LINK_ICONS[parseGitHubUrl(url).kind]
+});
+
+registerLinkProvider({
+  id: 'gitlab',
+  matches: url => !!parseGitLabUrl(url, extensionSettings.gitlabInstances),
+  titleAction: 'fetchGitLabTitle',
+  defaultIssueType: url => GITLAB_ISSUE_TYPES[parseGitLabUrl(url, extensionSettings.gitlabInstances).kind],
+  formatLinkText: formatGitLabLinkText,
+  isBeautified: (text, url, cachedData) => {
+    const gitlabLink = parseGitLabUrl(url, extensionSettings.gitlabInstances);
+    return text.startsWith(GITLAB_LINK_ICONS[gitlabLink.kind]) || 
+           (gitlabLink.kind !== 'project' && text.includes(getGitLabLinkKey(gitlabLink))) || 
+           (!!cachedData && !!cachedData.title && text.includes(cachedData.title));
+  },
+  hoverCardIcon: url => GITLAB_LINK_ICONS[parseGitLabUrl(url, extensionSettings.gitlabInstances).kind]
+});
+
+registerLinkProvider({
+  id: 'linear',
+  matches: url => !!parseLinearUrl(url),
+  titleAction: 'fetchLinearTitle',
+  defaultIssueType: () => "LinearIssue",
+  formatLinkText: formatLinearLinkText,
+  isBeautified: (text, url, cachedData) => 
+    text.includes(parseLinearUrl(url).key) || (!!cachedData && !!cachedData.title && text.includes(cachedData.title)),
+  hoverCardIcon: url => getIssueTypeIcon(titleCache[url] ? titleCache[url].type : null, parseLinearUrl(url).key)
+});
+
+registerLinkProvider({
+  id: 'confluence',
+  matches: isConfluenceUrl,
+  titleAction: 'fetchConfluenceTitle',
+  defaultIssueType: () => "Confluence Page",
+  formatLinkText: formatConfluenceLinkText,
+  // Custom templates can put anything first, so look for the cached title
+  isBeautified: (text, url, cachedData) => !!cachedData && !!cachedData.title && text.includes(cachedData.title),
+  hoverCardIcon: () => getIssueTypeIcon("Confluence Page", null)
+});
+
+registerLinkProvider({
+  id: 'servicedesk',
+  matches: isServiceDeskUrl,
+  titleAction: 'fetchServiceDeskTitle',
+  defaultIssueType: () => "ServiceDeskRequest",
+  formatLinkText: formatServiceDeskLinkText,
+  isBeautified: (text, url) => {
+    const issueKey = extractIssueKey(url);
+    return text.startsWith(SERVICE_DESK_ICON) || (!!issueKey && text.includes(issueKey));
+  },
+  hoverCardIcon: () => SERVICE_DESK_ICON
+});
+
+registerLinkProvider({
+  id: 'jira',
+  matches: url => {
+    const jiraMatch = url.match(JIRA_URL_REGEX);
+    return !!jiraMatch && jiraMatch.index === 0 && !!extractIssueKey(url);
+  },
+  normalizeUrl: normalizeJiraUrl,
+  titleAction: 'fetchJiraTitle',
+  defaultIssueType: () => "Unknown",
+  formatLinkText: (data, url, platform) => {
+    if (platform === 'google-sheets') {
+      return formatJiraSheetsLinkText(data, url);
+    }
+    const title = data && data.title ? data.title : `${extractIssueKey(url)}: Jira Issue`;
+    return cleanDisplayText(title, url, platform);
+  },
+  isBeautified: (text, url, cachedData) => {
+    const issueKey = extractIssueKey(url);
+    if (!issueKey) return false;
+    const summary = getSummaryFromTitle(cachedData ? cachedData.title : null, issueKey);
+    return text.replace(/^[^A-Za-z0-9]+/, '').startsWith(`${issueKey}:`) || (!!summary && text.includes(summary));
+  },
+  pasteSingleLink: pasteSingleJiraLink
+});
+
+// Boards and filters have nothing to show in a hover card beyond what the link text already says
+registerLinkProvider({
+  id: 'jiraview',
+  matches: isJiraViewUrl,
+  titleAction: 'fetchJiraViewTitle',
+  defaultIssueType: () => "Unknown",
+  formatLinkText: formatJiraViewLinkText,
+  isBeautified: (text, url, cachedData) => {
+    const viewName = cachedData ? cachedData.viewName : null;
+    return text.startsWith(JIRA_BOARD_ICON) || text.startsWith(JIRA_SEARCH_ICON) || (!!viewName && text.includes(viewName));
+  },
+  hoverCard: false
+});
+
+registerLinkProvider({
+  id: 'asana',
+  matches: url => {
+    const asanaMatch = url.match(ASANA_URL_REGEX);
+    return !!asanaMatch && asanaMatch.index === 0 && !!classifyAsanaUrl(url);
+  },
+  titleAction: 'fetchAsanaTitle',
+  defaultIssueType: getAsanaIssueType,
+  formatLinkText: (data, url, platform) => {
+    const text = data && data.title ? formatAsanaLinkText(data.title, url, platform) : '';
+    if (text) return text;
+    // Sheets links go without icons
+    const fallback = getAsanaFallbackText(url);
+    return platform === 'google-sheets' ? fallback.replace(/^\S+\s/, '') : fallback;
+  },
+  isBeautified: (text, url, cachedData) => {
+    const asanaLink = classifyAsanaUrl(url);
+    const icons = [ASANA_LINK_ICONS[asanaLink ? asanaLink.kind : 'task'], ASANA_COMPLETED_ICON];
+    const cachedTitle = cachedData ? cachedData.title : null;
+    return icons.some(icon => text.startsWith(icon)) || 
+           (!!cachedTitle && (text.includes(cachedTitle) || text.includes(strikeThroughText(cachedTitle))));
+  }
+});
+
+// Function to split pasted text into plain text and recognized Jira/Asana links
+function tokenizePastedText(text) {
+  const tokens = [];
+  const urlRegex = /https?:\/\/[^\s<>"]+/g;
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = urlRegex.exec(text)) !== null) {
+    // Trailing punctuation belongs to the sentence, not the URL
+    const url = match[0].replace(/[.,;:!?)\]]+$/, '');
+    const provider = getLinkProvider(url);
+    if (!provider) continue;
+    
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', text: text.substring(lastIndex, match.index) });
+    }
+    tokens.push({ type: 'link', url, provider });
+    lastIndex = match.index + url.length;
+  }
+  
+  if (lastIndex < text.length) {
+    tokens.push({ type: 'text', text: text.substring(lastIndex) });
+  }
+  
+  return tokens;
+}
+
+// Function to get the title for a recognized link, from the cache or the background script
+function requestLinkTitle(link) {
+  const { url } = link;
+  const provider = getLinkProviderById(link.provider);
+  const normalizedUrl = provider.normalizeUrl ? provider.normalizeUrl(url) : url;
+  
+  const cachedData = titleCache[url] || titleCache[normalizedUrl];
+  if (cachedData && cachedData.title) {
+    return Promise.resolve(cachedData);
+  }
+  
+  const message = { action: provider.titleAction, url, forceRefresh: FORCE_REFRESH };
+  
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError || !response || !response.title || 
+          response.title.toLowerCase().includes('redirect')) {
+        resolve(null);
+        return;
       }
       
-      // Record this paste to prevent duplicates
-      window._lastPastedText = sanitizedPastedText;
-      window._lastPasteTime = Date.now();
-      
-      // Generate a temporary text to use while we fetch the title
-      const tempText = `${issueKey}: Loading...`;
-      
-      // Normalize URL for cache lookup (removes query params like ?search_id=...)
-      const normalizedUrl = normalizeJiraUrl(sanitizedPastedText);
+      const cacheData = createCacheEntry(response, provider.defaultIssueType(url));
+      titleCache[url] = cacheData;
+      if (normalizedUrl !== url) {
+        titleCache[normalizedUrl] = cacheData;
+      }
+      resolve(cacheData);
+    });
+  });
+}
+
+// Function to get the text shown for a link in a multi-link paste
+function getMultiLinkDisplayText(link, data, platform) {
+  return getLinkProviderById(link.provider).formatLinkText(data, link.url, platform);
+}
+
+// Function to beautify every recognized link in pasted text, or a single link from handlePasteEvent
+// providerId makes a single link that provider's, for Jira links on hosts we don't know yet
+// Returns true if the paste was taken over
+function handleMultiLinkPaste(event, pastedText, platform, eventId, providerId = null) {
+  const text = pastedText.replace(/\r\n?/g, '\n');
+  const pastedTokens = providerId ? [{ type: 'link', url: text, provider: providerId }] : tokenizePastedText(text);
+  
+  // Asana renders its own links natively, so leave those alone when pasting into Asana
+  const tokens = pastedTokens.map(token => 
+    (token.type === 'link' && token.provider === 'asana' && platform === 'asana') 
+      ? { type: 'text', text: token.url } 
+      : token
+  );
+  const links = tokens.filter(token => token.type === 'link');
+  if (links.length === 0) {
+    return false;
+  }
+  
+  // Check if this text was already pasted in the last 300ms (duplicate paste event)
+  if (window._lastPastedText === text && Date.now() - window._lastPasteTime < 300) {
+    debugLog(`[${eventId}] Ignoring duplicate multi-link paste event`);
+    event.preventDefault();
+    event.stopPropagation();
+    return true;
+  }
+  
+  // Platform adapters decide for themselves which pastes they take
+  const adapter = getPlatformAdapter(platform);
+  const pasteTarget = adapter ? adapter.getPasteTarget(event) : null;
+  if (adapter && !pasteTarget) {
+    debugLog(`[${eventId}] Not a paste into a ${platform} editor`);
+    return false;
+  }
+  
+  const activeElement = document.activeElement;
+  if (platform !== 'google-sheets' && !adapter) {
+    const isEditable = activeElement && (activeElement.isContentEditable || 
+                       activeElement.tagName === 'TEXTAREA' || 
+                       activeElement.tagName === 'INPUT');
+    if (!isEditable) {
+      debugLog(`[${eventId}] Active element is not editable`);
+      return false;
+    }
+  }
+  
+  debugLog(`[${eventId}] Intercepted paste with ${links.length} links in mixed text`);
+  
+  // Prevent the default paste which would insert the URLs as text
+  event.preventDefault();
+  event.stopPropagation();
+  
+  // Record this paste to prevent duplicates
+  window._lastPastedText = text;
+  window._lastPasteTime = Date.now();
+  
+  // Remember where the paste was meant to go - the selection may move while we fetch
+  const selection = window.getSelection();
+  const savedRange = selection && selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+  
+  // Fetch all titles in parallel, then insert everything at once
+  Promise.all(links.map(link => requestLinkTitle(link)))
+    .then(results => {
+      links.forEach((link, index) => {
+        link.data = results[index];
+        link.displayText = getMultiLinkDisplayText(link, results[index], platform);
+        link.issueType = results[index] ? results[index].issueType : "Unknown";
+      });
       
-      // Check if we already have the title cached (try both original and normalized URL)
-      const cachedData = titleCache[sanitizedPastedText] || titleCache[normalizedUrl];
-      if (cachedData) {
-        // Use cached title - but ensure it's properly formatted 
-        const cleanedTitle = cleanDisplayText(cachedData.title, sanitizedPastedText, platform);
-        const issueType = cachedData.issueType || "Unknown";
-        debugLog(`[${eventId}] Using cached title: ${cleanedTitle}`);
-        debugLog(`[${eventId}] Using cached issue type: ${issueType}`);
-        
-        // Insert with proper formatting based on platform
-        if (platform === 'asana') {
-          const success = pasteFormattedLinkAsana(activeElement, sanitizedPastedText, cleanedTitle, issueType);
-          debugLog(`[${eventId}] Asana paste result: ${success ? 'success' : 'failed'}`);
-          
-          // Add a quick follow-up to check for partial links in Asana
-          if (success && platform === 'asana') {
-            setTimeout(() => {
-              // Look for potential partial links in paragraphs
-              const paragraphs = document.querySelectorAll('p.ProsemirrorEditor-paragraph');
-              for (const paragraph of paragraphs) {
-                const links = paragraph.querySelectorAll('a.ProsemirrorEditor-link');
-                for (const link of links) {
-                  if ((link.href === sanitizedPastedText || link.href.includes(sanitizedPastedText)) &&
-                      paragraph.textContent !== link.textContent && 
-                      paragraph.textContent.includes(issueKey)) {
-                    // Found partial link - fix it
-                    debugLog(`[${eventId}] Found partial link after paste, fixing it`);
-                    paragraph.innerHTML = `[${cleanedTitle}](${sanitizedPastedText})`;
-                    paragraph.setAttribute('data-issue-type', issueType);
-                    paragraph.dispatchEvent(new Event('input', { bubbles: true }));
-                    paragraph.dispatchEvent(new Event('change', { bubbles: true }));
-                    break;
-                  }
-                }
-              }
-            }, 100);
-          }
-        } else {
-          pasteFormattedLink(activeElement, sanitizedPastedText, cleanedTitle, issueType);
-        }
-        
-        // Set up a follow-up check to ensure no URL was left behind
-        setTimeout(() => {
-          cleanupLeftoverUrls(activeElement, sanitizedPastedText);
-        }, 50);
+      if (platform === 'google-sheets' && tokens.length === 1) {
+        pasteSingleLinkIntoSheets(links[0], eventId);
+      } else if (platform === 'google-sheets' && isSheetsIssueRowsPaste(tokens)) {
+        pasteIssueRowsIntoSheets(links, eventId);
+      } else if (platform === 'google-sheets') {
+        pasteMultiLinkIntoSheets(tokens, text, eventId);
+      } else if (platform === 'asana') {
+        insertMultiLinkAsana(activeElement, tokens);
+      } else if (adapter) {
+        adapter.insertLinks(tokens, pasteTarget, { text, savedRange, eventId });
       } else {
-        // Prepare a temporary text while we fetch the title
-        // For Google Chat use a temporary message
-        const tempText = `${issueKey}: Loading...`;
-        
-        // For Asana, we'll handle this differently
-        if (platform === 'asana') {
-          // For Asana, just paste the plain URL first and replace it completely when we get the title
-          // This avoids the link breaking issue when updating
-          debugLog(`[${eventId}] Asana: Using direct URL paste initially, will replace completely when title is fetched`);
-          
-          // Insert the raw URL first - this will be plain text, not a link
-          document.execCommand('insertText', false, issueKey);
-          
-          // Set up a longer tracking of this element for title replacement
-          trackElementForTitleUpdate(activeElement, sanitizedPastedText, issueKey, platform);
-        } else {
-          // For Google Chat, use the temp text approach which works fine
-          pasteFormattedLink(activeElement, sanitizedPastedText, tempText, "Unknown");
-        }
-        
-        // Request title from background script
-        chrome.runtime.sendMessage({
-          action: 'fetchJiraTitle',
-          url: sanitizedPastedText,
-          forceRefresh: FORCE_REFRESH
-        }, response => {
-          if (response && response.title) {
-            debugLog(`[${eventId}] Received title from background: ${response.title}`);
-            debugLog(`[${eventId}] Issue type: ${response.issueType}`);
-            
-            // Cache the title and issue type under both original and normalized URL
-            const cacheData = {
-              title: response.title,
-              issueType: response.issueType
-            };
-            titleCache[sanitizedPastedText] = cacheData;
-            if (normalizedUrl !== sanitizedPastedText) {
-              titleCache[normalizedUrl] = cacheData;
-            }
-            
-            // Ensure the title is clean with no URL or duplicate issue keys
-            const cleanedTitle = cleanDisplayText(response.title, sanitizedPastedText, platform);
-            
-            // Update the instance we just inserted, using platform-specific logic
-            let success = false;
-            if (platform === 'asana') {
-              // For Asana, find where we put the issue key and replace it with the full markdown link
-              success = replaceTextWithLink(activeElement, issueKey, sanitizedPastedText, cleanedTitle, response.issueType);
-              debugLog(`[${eventId}] Asana update result: ${success ? 'success' : 'failed'}`);
-            } else {
-              success = replaceLastPastedJiraLink(activeElement, tempText, sanitizedPastedText, cleanedTitle, response.issueType);
-            }
-            
-            if (success) {
-              debugLog(`[${eventId}] Successfully updated the link with the fetched title`);
-              
-              // Add a small delay before checking for any leftover URLs
-              setTimeout(() => {
-                cleanupLeftoverUrls(activeElement, sanitizedPastedText);
-              }, 100);
-            } else {
-              debugLog(`[${eventId}] Failed to update the link, tracking element for later update`);
-              trackElementForTitleUpdate(activeElement, sanitizedPastedText, tempText, platform);
-            }
-          } else {
-            debugLog(`[${eventId}] Failed to get title from background script`);
-          }
-        });
+        insertMultiLinkContent(activeElement, tokens, savedRange);
+        setupMutationObserver(activeElement);
+        monitorSendButton();
       }
       
-      // Monitor the active element for link changes
-      setupMutationObserver(activeElement);
-      
-      // Also watch the send button in case the message is sent before the title is fetched
-      if (platform === 'google-chat') {
-        monitorSendButton();
+      debugLog(`[${eventId}] Inserted multi-link paste with ${links.length} beautified links`);
+    })
+    .catch(error => {
+      debugLog(`[${eventId}] Multi-link paste failed: ${error.message}`);
+    });
+  
+  return true;
+}
+
+// Function to insert tokenized text with links into a contenteditable (Google Chat) or text input
+function insertMultiLinkContent(element, tokens, savedRange) {
+  if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+    // Plain text inputs can't hold links, so just use the display text
+    const plainText = tokens.map(token => token.type === 'link' ? token.displayText : token.text).join('');
+    const selStart = element.selectionStart;
+    const selEnd = element.selectionEnd;
+    const value = element.value;
+    
+    element.value = value.substring(0, selStart) + plainText + value.substring(selEnd);
+    element.selectionStart = element.selectionEnd = selStart + plainText.length;
+    
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    return;
+  }
+  
+  const pasteId = Date.now() + Math.random().toString(36).substring(2, 8);
+  const fragment = document.createDocumentFragment();
+  
+  for (const token of tokens) {
+    if (token.type === 'link') {
+      const linkElement = document.createElement('a');
+      linkElement.href = token.url;
+      linkElement.textContent = token.displayText;
+      linkElement.setAttribute('data-is-hub-custom-hyperlink', 'true');
+      linkElement.setAttribute('data-is-editable', 'true');
+      linkElement.setAttribute('data-jira-link-beautifier', pasteId);
+      linkElement.setAttribute('data-issue-type', token.issueType);
+      fragment.appendChild(linkElement);
+      continue;
+    }
+    
+    // Keep the line breaks of the pasted text
+    token.text.split('\n').forEach((line, index) => {
+      if (index > 0) {
+        fragment.appendChild(document.createElement('br'));
       }
+      if (line) {
+        fragment.appendChild(document.createTextNode(line));
+      }
+    });
+  }
+  
+  const lastNode = fragment.lastChild;
+  const selection = window.getSelection();
+  let range = savedRange;
+  if (!range && selection.rangeCount > 0) {
+    range = selection.getRangeAt(0);
+  }
+  
+  if (range && element.contains(range.commonAncestorContainer)) {
+    range.deleteContents();
+    range.insertNode(fragment);
+  } else {
+    element.focus();
+    element.appendChild(fragment);
+  }
+  
+  // Move the cursor to after the inserted text
+  if (lastNode) {
+    const caretRange = document.createRange();
+    caretRange.setStartAfter(lastNode);
+    caretRange.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(caretRange);
+  }
+  
+  // Dispatch input event to ensure Google Chat recognizes the change
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Function to insert tokenized text with links into Asana's ProseMirror editor
+function insertMultiLinkAsana(element, tokens) {
+  // One paragraph per line, with links as Asana link elements
+  const lines = [''];
+  for (const token of tokens) {
+    if (token.type === 'link') {
+      lines[lines.length - 1] += `<a href="${escapeHtml(token.url)}" class="ProsemirrorEditor-link">${escapeHtml(token.displayText)}</a>`;
+      continue;
     }
-  } catch (error) {
-    // Log any errors but don't interrupt the user's experience
-    // Error in paste handler - fail silently in production
-    if (DEBUG) console.error(`[${eventId}] Jira Link Extension paste handler error:`, error);
+    
+    token.text.split('\n').forEach((line, index) => {
+      if (index > 0) {
+        lines.push('');
+      }
+      lines[lines.length - 1] += escapeHtml(line);
+    });
+  }
+  
+  const html = lines.map(line => `<p class="ProsemirrorEditor-paragraph">${line || '<br>'}</p>`).join('');
+  
+  element.focus();
+  document.execCommand('insertHTML', false, html);
+  
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Function to paste tokenized text with links into Google Sheets
+// Each line goes into its own row, with the links kept as rich-text links in the cell
+function pasteMultiLinkIntoSheets(tokens, originalText, eventId) {
+  const rows = [''];
+  for (const token of tokens) {
+    if (token.type === 'link') {
+      rows[rows.length - 1] += `<a href="${escapeHtml(token.url)}">${escapeHtml(token.displayText)}</a>`;
+      continue;
+    }
+    
+    token.text.split('\n').forEach((line, index) => {
+      if (index > 0) {
+        rows.push('');
+      }
+      rows[rows.length - 1] += escapeHtml(line);
+    });
+  }
+  
+  const html = `<table>${rows.map(row => `<tr><td>${row}</td></tr>`).join('')}</table>`;
+  pasteRichTextIntoGoogleSheets(html, originalText, eventId);
+}
+
+// Function to paste a single link into Google Sheets as a HYPERLINK formula
+// The status can go into the next column, which a formula (unlike pasted HTML) allows
+function pasteSingleLinkIntoSheets(link, eventId) {
+  if (isSheetsIssueRowLink(link)) {
+    pasteIssueRowsIntoSheets([link], eventId);
+    return;
+  }
+  
+  const formula = `${getSheetsHyperlinkFormula(link.url, link.displayText)}${getSheetsStatusColumn(link.data)}`;
+  debugLog(`[${eventId}] Pasting ${link.provider} link into Sheets: ${link.displayText}`);
+  pasteTextIntoGoogleSheets(formula, link.url, eventId);
+}
+
+// Helper function to check if a link is pasted into Google Sheets as a row of cells
+// Only Jira issues have all the columns; other links stay a single HYPERLINK cell
+function isSheetsIssueRowLink(link) {
+  return extensionSettings.sheetsPasteMode === 'columns' && link.provider === 'jira';
+}
+
+// Helper function to check if a paste is a list of Jira issue links to paste as one row each
+function isSheetsIssueRowsPaste(tokens) {
+  return tokens.every(token => 
+    token.type === 'link' ? isSheetsIssueRowLink(token) : !token.text.trim()
+  );
+}
+
+// Function to get the cells of a Jira issue row in Google Sheets, as set in sheetsPasteColumns
+// The first cell links to the issue
+function getSheetsIssueRow(link) {
+  const { url, data } = link;
+  const issueKey = extractIssueKey(url);
+  const values = {
+    key: issueKey,
+    summary: data ? getSummaryFromTitle(data.title, issueKey) : null,
+    type: data && data.issueType !== "Unknown" ? data.issueType : null,
+    status: data ? data.status : null,
+    assignee: data ? data.assignee : null,
+    sprint: data ? data.sprint : null
+  };
+  
+  const columns = (extensionSettings.sheetsPasteColumns || []).filter(column => SHEETS_PASTE_COLUMNS.includes(column));
+  if (columns.length === 0) {
+    columns.push('key');
+  }
+  
+  return columns.map((column, index) => {
+    const text = toSheetsCellText(values[column]);
+    return index > 0 ? text : getSheetsHyperlinkFormula(url, text || issueKey || url);
+  });
+}
+
+// Function to paste Jira issue links into Google Sheets as rows of cells, one row per issue
+function pasteIssueRowsIntoSheets(links, eventId) {
+  const rows = links.map(link => getSheetsIssueRow(link).join('\t'));
+  debugLog(`[${eventId}] Pasting ${links.length} Jira issue rows into Sheets`);
+  pasteTextIntoGoogleSheets(rows.join('\n'), links.map(link => link.url).join('\n'), eventId);
+}
+
+// Function to paste text (such as a formula) into Google Sheets through the clipboard
+function pasteTextIntoGoogleSheets(text, plainText, eventId) {
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    insertTextIntoGoogleSheets(document.activeElement, text);
+    return;
+  }
+  
+  navigator.clipboard.writeText(text).then(() => {
+    debugLog(`[${eventId}] Wrote text to clipboard: "${text.substring(0, 50)}..."`);
+    
+    // Focus the active element and trigger paste command
+    const activeEl = document.activeElement;
+    activeEl.focus();
+    
+    // Set flag to allow the next paste event through (triggered by execCommand)
+    window._allowNextPaste = true;
+    
+    // Use execCommand paste which will read from system clipboard
+    const success = document.execCommand('paste');
+    debugLog(`[${eventId}] execCommand paste result: ${success}`);
+    
+    if (!success) {
+      window._allowNextPaste = false;
+      // Try direct insertion as fallback
+      insertTextIntoGoogleSheets(activeEl, text);
+    }
+    
+    // Restore the original text to the clipboard so the user can paste it elsewhere
+    setTimeout(() => {
+      navigator.clipboard.writeText(plainText).catch(() => {});
+    }, 200);
+  }).catch(err => {
+    debugLog(`[${eventId}] Clipboard write failed: ${err.message}`);
+    insertTextIntoGoogleSheets(document.activeElement, text);
+  });
+}
+
+// Function to paste tokenized text with links into Google Docs or Slides
+// The links go in as HTML anchors through the clipboard, which both editors turn into their own links
+function pasteMultiLinkIntoGoogleEditor(tokens, target, context) {
+  const html = tokens.map(token => {
+    if (token.type === 'link') {
+      return `<a href="${escapeHtml(token.url)}">${escapeHtml(token.displayText)}</a>`;
+    }
+    return token.text.split('\n').map(escapeHtml).join('<br>');
+  }).join('');
+  
+  pasteRichTextIntoGoogleEditor(`<span>${html}</span>`, context.text, target.ownerDocument, context.eventId);
+}
+
+// Function to paste HTML into Google Docs or Slides through the clipboard
+// The paste command has to run in the hidden iframe document the original paste came from
+function pasteRichTextIntoGoogleEditor(html, plainText, doc, eventId) {
+  if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+    doc.execCommand('insertText', false, plainText);
+    return;
   }
+  
+  const item = new ClipboardItem({
+    'text/html': new Blob([html], { type: 'text/html' }),
+    'text/plain': new Blob([plainText], { type: 'text/plain' })
+  });
+  
+  navigator.clipboard.write([item]).then(() => {
+    debugLog(`[${eventId}] Wrote HTML to clipboard: "${html.substring(0, 50)}..."`);
+    
+    // Set flag to allow the next paste event through (triggered by execCommand)
+    window._allowNextPaste = true;
+    
+    const success = doc.execCommand('paste');
+    debugLog(`[${eventId}] execCommand paste result: ${success}`);
+    
+    if (!success) {
+      window._allowNextPaste = false;
+      doc.execCommand('insertText', false, plainText);
+    }
+    
+    // Restore the original text to the clipboard so the user can paste it elsewhere
+    setTimeout(() => {
+      navigator.clipboard.writeText(plainText).catch(() => {});
+    }, 200);
+  }).catch(err => {
+    debugLog(`[${eventId}] Clipboard write failed: ${err.message}`);
+    doc.execCommand('insertText', false, plainText);
+  });
+}
+
+// Function to paste HTML into Google Sheets through the clipboard
+function pasteRichTextIntoGoogleSheets(html, plainText, eventId) {
+  if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+    insertTextIntoGoogleSheets(document.activeElement, plainText);
+    return;
+  }
+  
+  const item = new ClipboardItem({
+    'text/html': new Blob([html], { type: 'text/html' }),
+    'text/plain': new Blob([plainText], { type: 'text/plain' })
+  });
+  
+  navigator.clipboard.write([item]).then(() => {
+    debugLog(`[${eventId}] Wrote HTML to clipboard: "${html.substring(0, 50)}..."`);
+    
+    // Focus the active element and trigger paste command
+    const activeEl = document.activeElement;
+    activeEl.focus();
+    
+    // Set flag to allow the next paste event through (triggered by execCommand)
+    window._allowNextPaste = true;
+    
+    const success = document.execCommand('paste');
+    debugLog(`[${eventId}] execCommand paste result: ${success}`);
+    
+    if (!success) {
+      window._allowNextPaste = false;
+      insertTextIntoGoogleSheets(activeEl, plainText);
+    }
+    
+    // Restore the original text to the clipboard so the user can paste it elsewhere
+    setTimeout(() => {
+      navigator.clipboard.writeText(plainText).catch(() => {});
+    }, 200);
+  }).catch(err => {
+    debugLog(`[${eventId}] Clipboard write failed: ${err.message}`);
+    insertTextIntoGoogleSheets(document.activeElement, plainText);
+  });
 }
 
 // Function to insert text into Google Sheets cell editor
@@ -1407,6 +1842,9 @@ function pasteFormattedLink(element, url, displayText, issueType = "Unknown") {
       linkElement.setAttribute('data-jira-link-beautifier', pasteId);
       linkElement.setAttribute('data-issue-type', issueType);
       
+      // Use Jira's own issue type image if enabled and the editor keeps images
+      addIssueTypeImage(linkElement, url, getCurrentPlatform());
+      
       // Insert the link element
       range.insertNode(linkElement);
       
@@ -1682,18 +2120,16 @@ function performFinalUrlCleanup(element) {
         if (asanaUrlMatch) {
           const url = asanaUrlMatch[0];
           
-          // Extract the task ID
-          const taskIdMatch = url.match(ASANA_TASK_ID_REGEX);
-          const taskId = taskIdMatch ? taskIdMatch[1] : null;
-          if (!taskId) continue;
+          // Work out what the link points at
+          if (!classifyAsanaUrl(url)) continue;
           
           // Get the cached title if available
           let displayText;
           
           if (titleCache[url]) {
-            displayText = `✔️ ${titleCache[url].title}`;
+            displayText = formatAsanaLinkText(titleCache[url].title, url, platform);
           } else {
-            displayText = `✔️ Asana Task ${taskId}`;
+            displayText = getAsanaFallbackText(url);
           }
           
           // Create a range to replace just the URL
@@ -1709,7 +2145,7 @@ function performFinalUrlCleanup(element) {
           linkElement.setAttribute('data-is-hub-custom-hyperlink', 'true');
           linkElement.setAttribute('data-is-editable', 'true');
           linkElement.setAttribute('data-asana-extension-created', 'true');
-          linkElement.setAttribute('data-issue-type', 'AsanaTask');
+          linkElement.setAttribute('data-issue-type', getAsanaIssueType(url));
           
           // Replace the URL with the link
           range.deleteContents();
@@ -1785,11 +2221,11 @@ function performFinalUrlCleanup(element) {
       }
       // Check if this is an Asana link in Google Chat
       else if (platform === 'google-chat' && ASANA_URL_REGEX.test(link.textContent) && titleCache[href]) {
-        const displayText = `✔️ ${titleCache[href].title}`;
+        const displayText = formatAsanaLinkText(titleCache[href].title, href, platform);
         
         // Replace the link text with the better title
         link.textContent = displayText;
-        link.setAttribute('data-issue-type', 'AsanaTask');
+        link.setAttribute('data-issue-type', getAsanaIssueType(href));
         
         // Google Chat attributes
         link.setAttribute('data-is-hub-custom-hyperlink', 'true');
@@ -1996,108 +2432,507 @@ function initializeJiraLinkBeautifier() {
     return;
   }
   
-  // Check if we've already initialized - multiple levels of protection
-  if (window._jiraLinkExtensionInitialized) {
+  // Check if we've already initialized - multiple levels of protection
+  if (window._jiraLinkExtensionInitialized) {
+    return;
+  }
+  
+  // Initialize paste listeners for main document
+  initPasteListeners(document);
+  
+  // Set up iframe handling
+  setupIframeListeners();
+  
+  // Initialize the extension fully
+  initializeExtension();
+  
+  // Listen for messages from the background script
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message && message.action === 'titleUpdated') {
+      const { action, ...data } = message;
+      const { url, title, issueType } = data;
+      debugLog(`Received updated title for ${url}: ${title} (${issueType})`);
+      
+      // Update the cache, keeping the status and anything else the background sent
+      titleCache[url] = createCacheEntry(data);
+      
+      // Find any links with this URL that need updating
+      const links = document.querySelectorAll(`a[href="${CSS.escape(url)}"]`);
+      for (const link of links) {
+        // Skip links that already have the updated title
+        if (link.textContent === title) continue;
+        
+        // Check if this link appears to be one we created (Loading text, generic task ID,
+        // or a beautified link that has since been sent and lost our attributes)
+        const isOurLink = link.textContent.includes('loading') || 
+                         link.textContent.includes('Task') ||
+                         link.hasAttribute('data-asana-extension-created') ||
+                         link.hasAttribute('data-jira-extension-created') ||
+                         link.hasAttribute('data-jira-link-beautifier') ||
+                         isBeautifiedLink(link);
+        
+        if (isOurLink) {
+          debugLog(`Updating link text from "${link.textContent}" to "${title}"`);
+          
+          // Format the display text appropriately
+          const provider = findLinkProvider(url);
+          let displayText = title;
+          if (provider) {
+            displayText = provider.formatLinkText(titleCache[url], url, getCurrentPlatform());
+          } else if (issueType) {
+            displayText = cleanDisplayText(title, url, getCurrentPlatform());
+          }
+          
+          // Skip links that already show the updated text
+          if (link.textContent === displayText) continue;
+          
+          // Update the link text - only the local DOM, the message itself isn't edited
+          link.textContent = displayText;
+          
+          // Set appropriate attributes
+          link.setAttribute('data-issue-type', issueType);
+          if (data.status) {
+            link.setAttribute('data-status', data.status);
+            link.title = `${title} [${data.status}]`;
+          }
+          if (isAsanaIssueType(issueType)) {
+            link.setAttribute('data-asana-extension-created', 'true');
+          } else {
+            link.setAttribute('data-jira-extension-created', 'true');
+          }
+          
+          // Ensure the link has the required Google Chat attributes
+          if (getCurrentPlatform() === 'google-chat') {
+            link.setAttribute('data-is-hub-custom-hyperlink', 'true');
+            link.setAttribute('data-is-editable', 'true');
+          }
+        }
+      }
+      
+      // Also update any tracked pending elements
+      pendingElements.forEach((data, key) => {
+        if (data.url === url) {
+          // Try to update the element with the new title
+          const { element, tempText } = data;
+          if (isAsanaIssueType(issueType)) {
+            const displayText = formatAsanaLinkText(title, url, data.platform);
+            replaceLastPastedJiraLink(element, tempText, url, displayText, issueType);
+          } else {
+            replaceLastPastedJiraLink(element, tempText, url, title, issueType);
+          }
+          
+          // Remove this element from pending
+          pendingElements.delete(key);
+          
+          debugLog(`Updated pending element with new title: ${title}`);
+        }
+      });
+    }
+    
+    if (message && message.action === 'titleCacheCleared') {
+      // The cache was cleared from the toolbar popup - fetch titles afresh from now on
+      for (const url in titleCache) {
+        delete titleCache[url];
+      }
+      debugLog('Title cache cleared');
+    }
+    
+    return true; // Keep the channel open for response if needed
+  });
+}
+
+// Wait for the page to be fully loaded, then initialize
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeJiraLinkBeautifier);
+} else {
+  initializeJiraLinkBeautifier();
+}
+
+// Also initialize on window load to be extra sure
+window.addEventListener('load', () => {
+  if (!window._jiraLinkExtensionInitialized) {
+    initializeJiraLinkBeautifier();
+  }
+});
+
+// How often to look for beautified links that are due for a refresh
+const LINK_REVALIDATE_CHECK_INTERVAL = 60 * 1000; // ms
+window._jiraLinkLastRevalidateTime = 0;
+
+// Helper function to check if a link's text looks like something we produced
+// Sent messages drop our data attributes, so this goes by the text alone
+function isBeautifiedLink(link) {
+  const url = link.href;
+  const text = link.textContent.trim();
+  if (!text || text === url) return false;
+  
+  // Custom templates can put anything first, so providers also look for the cached summary
+  const provider = findLinkProvider(url);
+  return !!provider && provider.isBeautified(text, url, titleCache[url] || null);
+}
+
+// Function to ask the background to re-check the titles of beautified links on screen
+// The background only fetches entries older than the refresh interval and
+// answers through titleUpdated when something actually changed
+function revalidateRenderedLinks() {
+  const refreshMinutes = Number(extensionSettings.liveRefreshMinutes);
+  if (!refreshMinutes || document.visibilityState !== 'visible') return;
+  
+  const now = Date.now();
+  if (now - window._jiraLinkLastRevalidateTime < refreshMinutes * 60 * 1000) return;
+  window._jiraLinkLastRevalidateTime = now;
+  
+  const urls = new Set();
+  for (const link of document.querySelectorAll('a[href]')) {
+    if (!getLinkProvider(link.href)) continue;
+    
+    const isOurs = link.hasAttribute('data-jira-link-beautifier') ||
+                   link.hasAttribute('data-jira-extension-created') ||
+                   link.hasAttribute('data-asana-extension-created') ||
+                   isBeautifiedLink(link);
+    if (isOurs) {
+      urls.add(link.href);
+    }
+  }
+  
+  if (urls.size === 0) return;
+  
+  debugLog(`Revalidating ${urls.size} beautified links`);
+  try {
+    chrome.runtime.sendMessage({ action: 'revalidateTitles', urls: [...urls] }, () => {
+      // Ignore errors - the extension may have been reloaded
+      void chrome.runtime.lastError;
+    });
+  } catch (e) {
+    // Extension context invalidated - stop checking
+    clearInterval(window._jiraLinkRevalidateInterval);
+    window._jiraLinkRevalidateInterval = null;
+  }
+}
+
+// Helper function to check if a link already on the page still shows its raw URL
+// Google Chat and Asana may shorten long URLs on screen, so any URL-looking text counts
+function isRawLink(link) {
+  const text = link.textContent.trim();
+  return text === link.href || /^https?:\/\/\S+$/i.test(text);
+}
+
+// Helper function to check if a link is in the visible part of the page
+function isLinkOnScreen(link) {
+  const rect = link.getBoundingClientRect();
+  return rect.width > 0 && rect.height > 0 && 
+         rect.bottom > 0 && rect.top < window.innerHeight;
+}
+
+// Function to beautify raw links already on screen in a Google Chat thread or Asana comments
+// Only the local DOM is changed, like titleUpdated does - the messages themselves aren't edited.
+// Titles are requested all at once (the background batches Jira lookups per host).
+// Returns the number of links that were beautified
+async function beautifyExistingLinks() {
+  const platform = getCurrentPlatform();
+  if (platform !== 'google-chat' && platform !== 'asana') return 0;
+  
+  const candidates = [];
+  for (const link of document.querySelectorAll('a[href]')) {
+    const provider = findLinkProvider(link.href);
+    if (!provider || !isRawLink(link) || !isLinkOnScreen(link)) continue;
+    
+    // Asana renders its own links natively, and links in a message being written belong to the paste handling
+    if (provider.id === 'asana' && platform === 'asana') continue;
+    if (link.closest('[contenteditable="true"]')) continue;
+    
+    candidates.push({ link, url: link.href, provider: provider.id });
+  }
+  
+  if (candidates.length === 0) return 0;
+  
+  const urls = [...new Set(candidates.map(candidate => candidate.url))];
+  debugLog(`Beautifying ${candidates.length} existing links (${urls.length} distinct URLs)`);
+  
+  const titles = new Map();
+  await Promise.all(urls.map(url => {
+    const { provider } = candidates.find(candidate => candidate.url === url);
+    return requestLinkTitle({ url, provider }).then(data => titles.set(url, data));
+  }));
+  
+  let decorated = 0;
+  for (const { link, url, provider } of candidates) {
+    const data = titles.get(url);
+    if (!data || !link.isConnected) continue;
+    
+    const displayText = getLinkProviderById(provider).formatLinkText(data, url, platform);
+    
+    // Keep the link's own markup: the first piece of text takes the new text, the rest is emptied
+    const textNodes = getTextNodesIn(link).filter(node => node.nodeValue.trim());
+    if (textNodes.length === 0) continue;
+    textNodes[0].nodeValue = displayText;
+    textNodes.slice(1).forEach(node => { node.nodeValue = ''; });
+    
+    // Mark the link as ours so live refresh and titleUpdated keep it current
+    link.setAttribute('data-issue-type', data.issueType);
+    if (isAsanaIssueType(data.issueType)) {
+      link.setAttribute('data-asana-extension-created', 'true');
+    } else {
+      link.setAttribute('data-jira-extension-created', 'true');
+    }
+    decorated++;
+  }
+  
+  debugLog(`Beautified ${decorated} existing links`);
+  return decorated;
+}
+
+// Hover card timing and size
+const HOVER_CARD_SHOW_DELAY = 400; // ms the pointer has to rest on a link
+const HOVER_CARD_HIDE_DELAY = 200; // ms to move the pointer from the link into the card
+const HOVER_CARD_DESCRIPTION_LENGTH = 280; // characters
+const HOVER_CARD_ID = 'jira-link-beautifier-hover-card';
+
+// Details already fetched for hover cards on this page, by URL
+const hoverCardDetails = new Map();
+let hoverCardLink = null;
+let hoverCardShowTimer = null;
+let hoverCardHideTimer = null;
+
+// Helper function to find a hovered link that should get a hover card
+function getHoverCardLink(target) {
+  if (!target || !target.closest) return null;
+  
+  const link = target.closest('a[href]');
+  if (!link) return null;
+  
+  // Some providers (boards and filters) have nothing to show beyond what the link text already says
+  const provider = findLinkProvider(link.href);
+  if (provider && provider.hoverCard === false) return null;
+  
+  if (link.hasAttribute('data-jira-link-beautifier') || provider) {
+    return link;
+  }
+  return null;
+}
+
+// Helper function to format an ISO date or date-time for the hover card
+function formatHoverCardDate(value) {
+  if (!value) return null;
+  
+  // Date-only values (due dates) have no time zone, so read them as local dates
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  if (isNaN(date.getTime())) return value;
+  
+  return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Helper function to turn a Jira wiki markup or Asana notes description into short plain text
+function formatHoverCardDescription(description) {
+  if (!description) return null;
+  
+  let text = description
+    .replace(/\{(?:code|noformat|quote|panel|color)[^}]*\}/g, '') // Block macros
+    .replace(/\[([^|\]]+)\|[^\]]+\]/g, '$1') // [text|url] links
+    .replace(/^h[1-6]\.\s*/gm, '') // Headings
+    .replace(/[*_+]([^*_+\n]+)[*_+]/g, '$1') // Bold, italic, underline
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  if (text.length > HOVER_CARD_DESCRIPTION_LENGTH) {
+    text = `${text.substring(0, HOVER_CARD_DESCRIPTION_LENGTH).trim()}…`;
+  }
+  return text || null;
+}
+
+// Function to create (or reuse) the hover card element
+function getHoverCardElement() {
+  let card = document.getElementById(HOVER_CARD_ID);
+  if (card) return card;
+  
+  card = document.createElement('div');
+  card.id = HOVER_CARD_ID;
+  card.style.cssText = [
+    'position: fixed',
+    'z-index: 2147483647',
+    'max-width: 360px',
+    'min-width: 240px',
+    'padding: 12px 14px',
+    'background: #fff',
+    'color: #202124',
+    'border: 1px solid #dadce0',
+    'border-radius: 8px',
+    'box-shadow: 0 4px 12px rgba(60, 64, 67, 0.25)',
+    'font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    'display: none'
+  ].join(';');
+  
+  // Keep the card open while the pointer is over it
+  card.addEventListener('mouseenter', () => clearTimeout(hoverCardHideTimer));
+  card.addEventListener('mouseleave', scheduleHideHoverCard);
+  
+  document.body.appendChild(card);
+  return card;
+}
+
+// Function to fill the hover card with a link's details
+function renderHoverCard(card, link, details) {
+  card.textContent = '';
+  
+  if (!details) {
+    card.textContent = 'Loading…';
+    return;
+  }
+  
+  if (details.error) {
+    const messages = {
+      auth: 'Log in to see the details of this link',
+      notFound: 'This item could not be found',
+      unsupported: 'No details available for this link'
+    };
+    card.textContent = messages[details.error] || 'Could not load the details of this link';
     return;
   }
   
-  // Initialize paste listeners for main document
-  initPasteListeners(document);
+  const header = document.createElement('div');
+  header.style.cssText = 'font-weight: 600; margin-bottom: 8px;';
+  header.textContent = details.key ? `${details.key}: ${details.summary || ''}` : (details.summary || link.textContent);
+  const provider = getLinkProviderById(details.provider);
+  if (provider && provider.hoverCardIcon) {
+    header.textContent = `${provider.hoverCardIcon(link.href)} ${header.textContent}`;
+  }
   
-  // Set up iframe handling
-  setupIframeListeners();
+  // Show Jira's own issue type image if enabled, otherwise the configured icon
+  if (details.provider === 'jira') {
+    if (details.issueTypeIconUrl && extensionSettings.useJiraIssueTypeImages) {
+      const image = document.createElement('img');
+      image.src = details.issueTypeIconUrl;
+      image.alt = details.issueType || '';
+      image.width = 16;
+      image.height = 16;
+      image.style.cssText = 'vertical-align: text-bottom; margin-right: 6px;';
+      header.insertBefore(image, header.firstChild);
+    } else {
+      header.textContent = `${getIssueTypeIcon(details.issueType, details.key)} ${header.textContent}`;
+    }
+  }
+  card.appendChild(header);
   
-  // Initialize the extension fully
-  initializeExtension();
+  const rows = [
+    ['Type', details.issueType],
+    ['Parent', details.parent],
+    ['Status', details.status],
+    ['Priority', details.priority],
+    [details.assigneeLabel || 'Assignee', details.assignee || (['jira', 'asana', 'linear'].includes(details.provider) ? 'Unassigned' : null)],
+    [details.provider === 'confluence' ? 'Created by' : 'Reporter', details.reporter],
+    ['Due', formatHoverCardDate(details.dueDate)],
+    ['Updated', formatHoverCardDate(details.updated)]
+  ];
   
-  // Listen for messages from the background script
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message && message.action === 'titleUpdated') {
-      const { url, title, issueType } = message;
-      debugLog(`Received updated title for ${url}: ${title} (${issueType})`);
-      
-      // Update the cache
-      titleCache[url] = { title, issueType };
+  const table = document.createElement('div');
+  table.style.cssText = 'display: grid; grid-template-columns: auto 1fr; column-gap: 12px; row-gap: 2px;';
+  for (const [label, value] of rows) {
+    if (!value) continue;
+    
+    const labelElement = document.createElement('span');
+    labelElement.style.cssText = 'color: #5f6368;';
+    labelElement.textContent = label;
+    table.appendChild(labelElement);
+    
+    const valueElement = document.createElement('span');
+    valueElement.textContent = value;
+    table.appendChild(valueElement);
+  }
+  card.appendChild(table);
+  
+  const description = formatHoverCardDescription(details.description);
+  if (description) {
+    const descriptionElement = document.createElement('div');
+    descriptionElement.style.cssText = 'margin-top: 8px; padding-top: 8px; border-top: 1px solid #e8eaed; color: #3c4043;';
+    descriptionElement.textContent = description;
+    card.appendChild(descriptionElement);
+  }
+}
+
+// Function to place the hover card below the link, or above it if there's no room
+function positionHoverCard(card, link) {
+  const rect = link.getBoundingClientRect();
+  const cardRect = card.getBoundingClientRect();
+  
+  let top = rect.bottom + 6;
+  if (top + cardRect.height > window.innerHeight && rect.top - cardRect.height - 6 > 0) {
+    top = rect.top - cardRect.height - 6;
+  }
+  const left = Math.max(8, Math.min(rect.left, window.innerWidth - cardRect.width - 8));
+  
+  card.style.top = `${top}px`;
+  card.style.left = `${left}px`;
+}
+
+// Function to show the hover card for a link, fetching its details if needed
+function showHoverCard(link) {
+  const url = link.href;
+  const card = getHoverCardElement();
+  hoverCardLink = link;
+  
+  renderHoverCard(card, link, hoverCardDetails.get(url));
+  card.style.display = 'block';
+  positionHoverCard(card, link);
+  
+  if (hoverCardDetails.has(url)) return;
+  
+  try {
+    chrome.runtime.sendMessage({ action: 'fetchLinkDetails', url }, response => {
+      if (chrome.runtime.lastError) {
+        debugLog(`Error fetching link details: ${chrome.runtime.lastError.message}`);
+        response = { error: 'failed' };
+      }
       
-      // Find any links with this URL that need updating
-      const links = document.querySelectorAll(`a[href="${url}"]`);
-      for (const link of links) {
-        // Skip links that already have the updated title
-        if (link.textContent === title) continue;
-        
-        // Check if this link appears to be one we created (Loading text, or generic task ID)
-        const isOurLink = link.textContent.includes('loading') || 
-                         link.textContent.includes('Task') ||
-                         link.hasAttribute('data-asana-extension-created') ||
-                         link.hasAttribute('data-jira-extension-created');
-        
-        if (isOurLink) {
-          debugLog(`Updating link text from "${link.textContent}" to "${title}"`);
-          
-          // Format the display text appropriately
-          let displayText = title;
-          if (issueType === 'AsanaTask') {
-            displayText = `✔️ ${title}`;
-          } else if (issueType) {
-            displayText = cleanDisplayText(title, url, getCurrentPlatform());
-          }
-          
-          // Update the link text
-          link.textContent = displayText;
-          
-          // Set appropriate attributes
-          link.setAttribute('data-issue-type', issueType);
-          if (issueType === 'AsanaTask') {
-            link.setAttribute('data-asana-extension-created', 'true');
-          } else {
-            link.setAttribute('data-jira-extension-created', 'true');
-          }
-          
-          // Ensure the link has the required Google Chat attributes
-          if (getCurrentPlatform() === 'google-chat') {
-            link.setAttribute('data-is-hub-custom-hyperlink', 'true');
-            link.setAttribute('data-is-editable', 'true');
-          }
-        }
+      // Only keep successful lookups so a later hover can retry after logging in
+      if (response && !response.error) {
+        hoverCardDetails.set(url, response);
       }
       
-      // Also update any tracked pending elements
-      pendingElements.forEach((data, key) => {
-        if (data.url === url) {
-          // Try to update the element with the new title
-          const { element, tempText } = data;
-          if (issueType === 'AsanaTask') {
-            const displayText = `✔️ ${title}`;
-            replaceLastPastedJiraLink(element, tempText, url, displayText, issueType);
-          } else {
-            replaceLastPastedJiraLink(element, tempText, url, title, issueType);
-          }
-          
-          // Remove this element from pending
-          pendingElements.delete(key);
-          
-          debugLog(`Updated pending element with new title: ${title}`);
-        }
-      });
+      // The pointer may have moved on while we were waiting
+      if (hoverCardLink === link && card.style.display !== 'none') {
+        renderHoverCard(card, link, response);
+        positionHoverCard(card, link);
+      }
+    });
+  } catch (e) {
+    renderHoverCard(card, link, { error: 'failed' });
+  }
+}
+
+// Function to hide the hover card after a short delay
+function scheduleHideHoverCard() {
+  clearTimeout(hoverCardHideTimer);
+  hoverCardHideTimer = setTimeout(() => {
+    const card = document.getElementById(HOVER_CARD_ID);
+    if (card) {
+      card.style.display = 'none';
     }
-    
-    return true; // Keep the channel open for response if needed
-  });
+    hoverCardLink = null;
+  }, HOVER_CARD_HIDE_DELAY);
 }
 
-// Wait for the page to be fully loaded, then initialize
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initializeJiraLinkBeautifier);
-} else {
-  initializeJiraLinkBeautifier();
+// Function to handle the pointer entering a link anywhere on the page
+function handleHoverCardMouseOver(event) {
+  if (!extensionSettings.hoverCards) return;
+  
+  const link = getHoverCardLink(event.target);
+  if (!link) return;
+  
+  clearTimeout(hoverCardHideTimer);
+  if (link === hoverCardLink) return;
+  
+  clearTimeout(hoverCardShowTimer);
+  hoverCardShowTimer = setTimeout(() => showHoverCard(link), HOVER_CARD_SHOW_DELAY);
 }
 
-// Also initialize on window load to be extra sure
-window.addEventListener('load', () => {
-  if (!window._jiraLinkExtensionInitialized) {
-    initializeJiraLinkBeautifier();
-  }
-});
+// Function to handle the pointer leaving a link
+function handleHoverCardMouseOut(event) {
+  const link = getHoverCardLink(event.target);
+  if (!link || link.contains(event.relatedTarget)) return;
+  
+  clearTimeout(hoverCardShowTimer);
+  scheduleHideHoverCard();
+}
 
 // Helper to clean up intervals and timeouts
 function clearAllTimeoutsAndIntervals() {
@@ -2117,6 +2952,11 @@ function clearAllTimeoutsAndIntervals() {
     window._jiraCleanupInterval = null;
   }
   
+  if (window._jiraLinkRevalidateInterval) {
+    clearInterval(window._jiraLinkRevalidateInterval);
+    window._jiraLinkRevalidateInterval = null;
+  }
+  
   // If we have a mutation observer, disconnect it
   if (mutationObserver) {
     mutationObserver.disconnect();
@@ -2131,9 +2971,13 @@ initializeExtension();
 function cleanDisplayText(text, url, platform) {
   if (!text) return text;
   
+  // Only Jira issue titles are cleaned up here - other providers have their own formatters,
+  // and their URLs may contain issue keys
+  const provider = url ? findLinkProvider(url) : null;
+  if (provider && provider.id !== 'jira') return text;
+  
   // Extract the issue key from the URL
-  const issueKeyMatch = url ? url.match(ISSUE_KEY_REGEX) : null;
-  const issueKey = issueKeyMatch ? issueKeyMatch[1] : null;
+  const issueKey = url ? extractIssueKey(url) : null;
   
   if (!issueKey) return text;
   
@@ -2150,6 +2994,21 @@ function cleanDisplayText(text, url, platform) {
     issueType = titleCache[url].issueType;
   }
   
+  // Get the status from cache too, for the status suffix or badge
+  const status = titleCache[url] ? titleCache[url].status : null;
+  const statusCategory = titleCache[url] ? titleCache[url].statusCategory : null;
+  
+  // Remove a status suffix added by an earlier pass so it isn't repeated
+  if (status) {
+    cleanedText = cleanedText.replace(new RegExp(`\\s*\\[${escapeRegExp(status)}\\]\\s*$`), '');
+  }
+  
+  // Remove a configured text badge (e.g. "[SPIKE]") added by an earlier pass
+  const previousIcon = getIssueTypeIcon(issueType, issueKey);
+  if (previousIcon && cleanedText.trimStart().startsWith(previousIcon)) {
+    cleanedText = cleanedText.trimStart().substring(previousIcon.length);
+  }
+  
   // First check if the text already has any emoji and remove it to start fresh
   cleanedText = cleanedText.replace(/[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F700}-\u{1F77F}\u{1F780}-\u{1F7FF}\u{1F800}-\u{1F8FF}\u{1F900}-\u{1F9FF}\u{1FA00}-\u{1FA6F}\u{1FA70}-\u{1FAFF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}]/gu, '');
   
@@ -2195,30 +3054,527 @@ function cleanDisplayText(text, url, platform) {
   cleanedText = cleanedText.trim();
   
   // Create a clean format with the issue key at the beginning and the title after
-  const titlePart = cleanedText.replace(new RegExp(`^${issueKey}:\\s*`, 'i'), '');
+  // Prefer the cached summary, as the text may already be a rendered template
+  const titlePart = getSummaryFromTitle(titleCache[url] && titleCache[url].title, issueKey) ||
+                    cleanedText.replace(new RegExp(`^${issueKey}:\\s*`, 'i'), '');
   
-  // Get the appropriate icon based on issue type - ensure exact case matching
-  // Normalize issue type to handle case variations
-  const normalizedType = issueType.toLowerCase();
-  let icon = '🔵'; // Default blue circle
+  // Get the appropriate icon based on issue type and project from the icon rules
+  const icon = getIssueTypeIcon(issueType, issueKey);
+  
+  // Render the platform's template (the default puts the icon and issue key first)
+  cleanedText = formatLinkText(platform, {
+    icon,
+    key: issueKey,
+    summary: titlePart,
+    status,
+    assignee: titleCache[url] ? titleCache[url].assignee : null,
+    type: issueType !== "Unknown" ? issueType : null
+  }, statusCategory);
+  
+  return cleanedText;
+}
+
+// Badges for each Jira status category, used when the status display is set to "badge"
+const STATUS_CATEGORY_BADGES = {
+  'To Do': '⚪',
+  'In Progress': '🔄',
+  'Done': '✅'
+};
+
+// Helper function to format the status shown after a link's title
+function formatStatusDecoration(status, statusCategory) {
+  if (!status) return '';
   
-  // Set specific icons based on issue type
-  if (normalizedType.includes('epic')) {
-    icon = '🟣'; // Purple circle for Epics
-  } else if (normalizedType.includes('bug')) {
-    icon = '🔴'; // Red circle for Bugs
-  } else if (normalizedType.includes('task')) {
-    icon = '🔹'; // Blue diamond for Tasks
-  } else if (normalizedType.includes('story') || normalizedType.includes('user story')) {
-    icon = '🟢'; // Green circle for Stories
-  } else if (normalizedType.includes('confluence')) {
-    icon = '📄'; // Document for Confluence pages
+  switch (extensionSettings.jiraStatusDisplay) {
+    case 'suffix':
+      return ` [${status}]`;
+    case 'badge':
+      return STATUS_CATEGORY_BADGES[statusCategory] ? ` ${STATUS_CATEGORY_BADGES[statusCategory]}` : '';
+    default:
+      return '';
   }
+}
+
+// Editors that keep an <img> inside a link once the message or cell is saved
+// Google Chat, Asana and Sheets drop them, so for now only hover cards show Jira's images
+const INLINE_IMAGE_PLATFORMS = new Set();
+
+// Helper function to check if Jira's own issue type image should be used on a platform
+function shouldUseIssueTypeImage(platform) {
+  return !!extensionSettings.useJiraIssueTypeImages && INLINE_IMAGE_PLATFORMS.has(platform);
+}
+
+// Function to swap the icon at the start of a link for Jira's issue type image
+function addIssueTypeImage(linkElement, url, platform) {
+  const cached = titleCache[url];
+  if (!cached || !cached.issueTypeIconUrl || !shouldUseIssueTypeImage(platform)) return;
   
-  // Add the appropriate icon at the beginning for both Google Chat and Asana
-  cleanedText = `${icon} ${issueKey}: ${titlePart}`;
+  const icon = getIssueTypeIcon(cached.issueType, extractIssueKey(url));
+  const text = linkElement.textContent;
   
-  return cleanedText;
+  const image = document.createElement('img');
+  image.src = cached.issueTypeIconUrl;
+  image.alt = cached.issueType || '';
+  image.width = 16;
+  image.height = 16;
+  image.style.verticalAlign = 'text-bottom';
+  image.style.marginRight = '4px';
+  
+  linkElement.textContent = text.startsWith(icon) ? text.substring(icon.length).trimStart() : text;
+  linkElement.insertBefore(image, linkElement.firstChild);
+}
+
+// Helper function to get the link template for a platform, falling back to the default
+function getLinkTemplate(platform) {
+  const templates = extensionSettings.linkTemplates || {};
+  return templates[platform] || DEFAULT_SETTINGS.linkTemplates[platform] || DEFAULT_SETTINGS.linkTemplates['google-chat'];
+}
+
+// Function to render the link text for a platform from its template (or the given one)
+// The status decoration is only added when the template doesn't place {status} itself
+function formatLinkText(platform, values, statusCategory, template = getLinkTemplate(platform || getCurrentPlatform())) {
+  let text = renderLinkTemplate(template, values, {
+    maxSummaryLength: Number(extensionSettings.maxSummaryLength) || 0
+  });
+  
+  // Sheets has its own status column instead
+  if (platform !== 'google-sheets' && !templateUsesPlaceholder(template, 'status')) {
+    text += formatStatusDecoration(values.status, statusCategory);
+  }
+  return text;
+}
+
+// Helper function to get the summary out of a "KEY-123: Summary" title
+// Returns null for the "Jira Issue" placeholder title
+function getSummaryFromTitle(title, issueKey) {
+  if (!title) return null;
+  
+  const keyPattern = issueKey ? escapeRegExp(issueKey) : '[A-Z]+-\\d+';
+  const summary = title.replace(new RegExp(`^\\s*${keyPattern}:\\s*`, 'i'), '').trim();
+  if (!summary || summary === 'Jira Issue' || summary === 'Jira issue') return null;
+  return summary;
+}
+
+// Type names for each kind of Asana link (their icons are shared with the background script)
+const ASANA_LINK_TYPE_NAMES = {
+  task: 'Task',
+  project: 'Project',
+  portfolio: 'Portfolio',
+  goal: 'Goal',
+  conversation: 'Conversation'
+};
+
+// Helper function to check if an issue type belongs to an Asana link ("AsanaTask", "AsanaProject", ...)
+function isAsanaIssueType(issueType) {
+  return typeof issueType === 'string' && issueType.startsWith('Asana');
+}
+
+// Helper function to get the text for an Asana link whose title isn't known, e.g. "📁 Asana Project 1203..."
+function getAsanaFallbackText(url) {
+  const asanaLink = classifyAsanaUrl(url) || { kind: 'task', id: extractAsanaTaskId(url) };
+  return `${ASANA_LINK_ICONS[asanaLink.kind]} Asana ${ASANA_LINK_TYPE_NAMES[asanaLink.kind]} ${asanaLink.id}`;
+}
+
+// Flag after overdue Asana tasks
+const ASANA_OVERDUE_FLAG = '⚠️';
+
+// Helper function to strike text through with combining characters
+// Unlike <s> this survives as plain text, so it works in chat messages, Asana and Sheets alike
+function strikeThroughText(text) {
+  return Array.from(text).map(character => `${character}\u0336`).join('');
+}
+
+// Helper function to get today's date as YYYY-MM-DD in the local time zone, like Asana's due_on
+function getLocalDateString(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Helper function to check if an Asana task is past its due date and not completed yet
+function isAsanaTaskOverdue(data) {
+  if (!data || data.completed) return false;
+  if (data.dueAt) return new Date(data.dueAt).getTime() < Date.now();
+  return !!data.dueOn && data.dueOn < getLocalDateString();
+}
+
+// Helper function to format an Asana task's due date for link text, e.g. "Mar 3"
+function formatAsanaDueDate(data) {
+  if (!data || (!data.dueAt && !data.dueOn)) return null;
+  
+  // A date-only due_on is a calendar day, not midnight UTC
+  const date = data.dueAt ? new Date(data.dueAt) : new Date(`${data.dueOn}T00:00:00`);
+  if (isNaN(date.getTime())) return null;
+  
+  const options = { month: 'short', day: 'numeric' };
+  if (date.getFullYear() !== new Date().getFullYear()) {
+    options.year = 'numeric';
+  }
+  return date.toLocaleDateString(undefined, options);
+}
+
+// Function to render the link text for an Asana task, project, portfolio, goal or conversation
+// Tasks use the platform's template; the other kinds have templates of their own.
+// Completed tasks get a ✅ (or are struck through) and overdue ones are flagged
+function formatAsanaLinkText(title, url, platform) {
+  const cached = url ? titleCache[url] : null;
+  const asanaLink = url ? classifyAsanaUrl(url) : null;
+  const kind = asanaLink ? asanaLink.kind : 'task';
+  const targetPlatform = platform || getCurrentPlatform();
+  
+  let template = getLinkTemplate(targetPlatform);
+  if (kind !== 'task' && targetPlatform !== 'google-sheets') {
+    const templates = extensionSettings.asanaLinkTemplates || {};
+    template = templates[kind] || DEFAULT_SETTINGS.asanaLinkTemplates[kind];
+  }
+  
+  let icon = ASANA_LINK_ICONS[kind];
+  let summary = title;
+  const overdue = kind === 'task' && isAsanaTaskOverdue(cached);
+  const dueDate = kind === 'task' ? formatAsanaDueDate(cached) : null;
+  
+  if (kind === 'task' && cached && cached.completed && summary) {
+    const completedDisplay = extensionSettings.asanaCompletedDisplay;
+    // Templates without an icon (like the Sheets one) can only show completion by striking through
+    if (completedDisplay === 'strikethrough' || 
+        (completedDisplay === 'checkmark' && !templateUsesPlaceholder(template, 'icon'))) {
+      summary = strikeThroughText(summary);
+    } else if (completedDisplay === 'checkmark') {
+      icon = ASANA_COMPLETED_ICON;
+    }
+  }
+  
+  let text = formatLinkText(platform, {
+    icon,
+    summary,
+    status: cached ? cached.status : null,
+    assignee: cached ? cached.assignee : null,
+    due: dueDate && overdue ? `${ASANA_OVERDUE_FLAG} ${dueDate}` : dueDate,
+    type: ASANA_LINK_TYPE_NAMES[kind]
+  }, null, template);
+  
+  // Flag overdue tasks even when the template doesn't show the due date
+  if (overdue && !templateUsesPlaceholder(template, 'due')) {
+    text += ` ${ASANA_OVERDUE_FLAG} Overdue`;
+  }
+  return text;
+}
+
+// Function to render the link text for a Confluence page or blog post
+// The space name takes the place of the issue key
+function formatConfluenceLinkText(data, url, platform) {
+  const issueType = data && data.issueType ? data.issueType : "Confluence Page";
+  const isBlogPost = issueType === "Confluence Blog Post";
+  
+  return formatLinkText(platform, {
+    icon: getIssueTypeIcon(issueType, null),
+    key: data ? data.spaceName || data.spaceKey : null,
+    summary: data && data.title ? data.title : (isBlogPost ? 'Confluence blog post' : 'Confluence page'),
+    type: isBlogPost ? 'Blog post' : 'Page'
+  }, null);
+}
+
+// Function to render the link text for a JSM customer portal request
+function formatServiceDeskLinkText(data, url, platform) {
+  return formatLinkText(platform, {
+    icon: SERVICE_DESK_ICON,
+    key: (data && data.issueKey) || extractIssueKey(url),
+    summary: data && data.title ? data.title : 'Service request',
+    status: data ? data.status : null,
+    type: data ? data.requestType : null
+  }, data ? data.statusCategory : null);
+}
+
+// Function to render the link text for a Jira board, backlog, filter or JQL search
+// The board name (or "Filter"/"JQL") takes the place of the issue key, e.g. "📋 ABC board: Sprint 14"
+function formatJiraViewLinkText(data, url, platform) {
+  const isBoard = data && data.issueType ? data.issueType === "JiraBoard" : !/[?&](?:filter|jql)=/i.test(url);
+  
+  return formatLinkText(platform, {
+    icon: isBoard ? JIRA_BOARD_ICON : JIRA_SEARCH_ICON,
+    key: data && data.viewName ? data.viewName : (isBoard ? 'Jira board' : 'Jira search'),
+    summary: data ? data.viewDetail : null,
+    type: isBoard ? 'Board' : 'Filter'
+  }, null);
+}
+
+// Type names for each kind of GitHub link
+const GITHUB_LINK_TYPE_NAMES = {
+  pull: 'Pull request',
+  issue: 'Issue',
+  commit: 'Commit'
+};
+
+// Function to render the link text for a GitHub pull request, issue or commit, e.g. "#1234 Fix auth race [merged]"
+// Every site but Sheets uses the GitHub templates; Sheets uses its own template like every other link
+function formatGitHubLinkText(data, url, platform) {
+  const githubLink = parseGitHubUrl(url);
+  // An /issues/ URL can turn out to be a pull request
+  const kind = data && data.issueType === "GitHubPullRequest" ? 'pull' : githubLink.kind;
+  const targetPlatform = platform || getCurrentPlatform();
+  
+  let template;
+  if (targetPlatform !== 'google-sheets') {
+    const templates = extensionSettings.githubLinkTemplates || {};
+    template = templates[kind] || DEFAULT_SETTINGS.githubLinkTemplates[kind];
+  }
+  
+  return formatLinkText(platform, {
+    icon: GITHUB_LINK_ICONS[kind],
+    key: getGitHubLinkKey(githubLink),
+    summary: data && data.title ? data.title : `GitHub ${GITHUB_LINK_TYPE_NAMES[kind].toLowerCase()}`,
+    status: data ? data.status : null,
+    assignee: data ? data.assignee : null,
+    type: GITHUB_LINK_TYPE_NAMES[kind]
+  }, data ? data.statusCategory : null, template);
+}
+
+// Type names for each kind of GitLab link
+const GITLAB_LINK_TYPE_NAMES = {
+  merge_request: 'Merge request',
+  issue: 'Issue',
+  project: 'Project'
+};
+
+// Function to render the link text for a GitLab merge request, issue or project, e.g. "!482 Add retry to exporter [open]"
+// Every site but Sheets uses the GitLab templates; Sheets uses its own template like every other link
+function formatGitLabLinkText(data, url, platform) {
+  const gitlabLink = parseGitLabUrl(url, extensionSettings.gitlabInstances);
+  const { kind } = gitlabLink;
+  const targetPlatform = platform || getCurrentPlatform();
+  
+  let template;
+  if (targetPlatform !== 'google-sheets') {
+    const templates = extensionSettings.gitlabLinkTemplates || {};
+    template = templates[kind] || DEFAULT_SETTINGS.gitlabLinkTemplates[kind];
+  }
+  
+  return formatLinkText(platform, {
+    icon: GITLAB_LINK_ICONS[kind],
+    key: (data && data.key) || getGitLabLinkKey(gitlabLink),
+    summary: data && data.title ? data.title : `GitLab ${GITLAB_LINK_TYPE_NAMES[kind].toLowerCase()}`,
+    status: data ? data.status : null,
+    assignee: data ? data.assignee : null,
+    type: GITLAB_LINK_TYPE_NAMES[kind]
+  }, data ? data.statusCategory : null, template);
+}
+
+// Function to render the link text for a Linear issue with the same templates as Jira issues
+// The issue's first label picks the icon from the issue type icon rules, so a "Bug" label gets the bug icon
+function formatLinearLinkText(data, url, platform) {
+  const issueKey = (data && data.key) || parseLinearUrl(url).key;
+  const type = data ? data.type : null;
+  
+  const text = formatLinkText(platform, {
+    // Sheets cells go without icons
+    icon: platform === 'google-sheets' ? null : getIssueTypeIcon(type, issueKey),
+    key: issueKey,
+    summary: data && data.title ? data.title : 'Linear issue',
+    status: data ? data.status : null,
+    assignee: data ? data.assignee : null,
+    type
+  }, data ? data.statusCategory : null);
+  
+  return text || issueKey;
+}
+
+// Function to render the Sheets text for a Jira issue link with the Sheets template
+// Falls back to the issue key when the template renders nothing
+function formatJiraSheetsLinkText(data, url) {
+  const title = data && data.title;
+  const issueKey = extractIssueKey(url);
+  const text = formatLinkText('google-sheets', {
+    icon: null,
+    key: issueKey,
+    summary: getSummaryFromTitle(title, issueKey),
+    status: data ? data.status : null,
+    assignee: data ? data.assignee : null,
+    type: data && data.issueType !== "Unknown" ? data.issueType : null
+  }, data ? data.statusCategory : null);
+  
+  return text || issueKey || title;
+}
+
+// Function to get the text of a Sheets HYPERLINK for a link
+// Links that only look like Jira issues are rendered like Jira's
+function getSheetsLinkText(url, data) {
+  const provider = findLinkProvider(url) || getLinkProviderById('jira');
+  return provider.formatLinkText(data, url, 'google-sheets');
+}
+
+// Helper function to get the extra Sheets column holding the issue status, if enabled
+function getSheetsStatusColumn(data) {
+  if (!extensionSettings.sheetsStatusColumn) return '';
+  // A tab moves the status into the cell to the right of the link
+  return `\t${toSheetsCellText(data && data.status)}`;
+}
+
+// Helper function to split text copied from Google Sheets into rows of cells
+// Cells are separated by tabs and rows by newlines; cells containing either come quoted, with "" for a quote
+function parseSheetsClipboardText(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  
+  const input = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === '\t') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  row.push(cell);
+  rows.push(row);
+  return rows;
+}
+
+// Helper function to make a value safe for a cell of pasted tab-separated text
+function toSheetsCellText(value) {
+  return value ? String(value).replace(/[\t\r\n]+/g, ' ').trim() : '';
+}
+
+// Helper function to build a Sheets HYPERLINK formula that stays in one cell
+// Double quotes are escaped as "" inside the formula's strings
+function getSheetsHyperlinkFormula(url, text) {
+  return `=HYPERLINK("${url.replace(/"/g, '""')}", "${toSheetsCellText(text).replace(/"/g, '""')}")`;
+}
+
+// Function to copy the cells selected in Google Sheets and read them back as text
+// Sheets takes copy commands in its hidden text event iframe, like pastes
+// Returns null when the copy is refused - the clipboard then still holds something unrelated
+async function copySheetsSelection() {
+  const textEventIframe = document.querySelector('.docs-texteventtarget-iframe');
+  const doc = textEventIframe && textEventIframe.contentDocument ? textEventIframe.contentDocument : document;
+  
+  if (!doc.execCommand('copy')) {
+    debugLog('Copying the Sheets selection was refused');
+    return null;
+  }
+  
+  // Give Sheets a moment to put the selection on the clipboard
+  await new Promise(resolve => setTimeout(resolve, 100));
+  return navigator.clipboard.readText();
+}
+
+// Helper function to count the rows selected in Google Sheets, from the range in the name box (A2:A20)
+// Returns null when that isn't a range within a single column, e.g. a named range or a whole column
+function getSheetsSelectedRowCount() {
+  const nameBox = document.getElementById('t-name-box');
+  const match = nameBox ? nameBox.value.trim().match(/^(?:.+!)?\$?([A-Z]+)\$?(\d+)(?::\$?([A-Z]+)\$?(\d+))?$/i) : null;
+  if (!match) return null;
+  
+  const [, startColumn, startRow, endColumn = startColumn, endRow = startRow] = match;
+  if (startColumn.toUpperCase() !== endColumn.toUpperCase()) return null;
+  return Math.abs(Number(endRow) - Number(startRow)) + 1;
+}
+
+// Function to turn the raw URLs in the selected Google Sheets column into HYPERLINK formulas
+// Every cell in the selection has to be empty or hold a single link we recognize, since the
+// whole selection is pasted back over itself. Titles come from the background in rate-limited
+// batches. The type, status and assignee can go into the columns to the right, as set in the options.
+// Returns { converted, total } or { error } with a message for the user
+async function convertSelectedSheetsLinks() {
+  if (getCurrentPlatform() !== 'google-sheets') {
+    return { error: 'Links can only be converted in Google Sheets.' };
+  }
+  
+  let copiedText;
+  try {
+    copiedText = await copySheetsSelection();
+  } catch (error) {
+    debugLog(`Could not read the Sheets selection: ${error.message}`);
+    return { error: 'The selected cells could not be read from the clipboard. Allow clipboard access for Google Sheets and try again.' };
+  }
+  if (copiedText === null) {
+    return { error: 'The selected cells could not be copied. Click into the sheet and try again.' };
+  }
+  
+  const rows = parseSheetsClipboardText(copiedText);
+  if (rows.some(row => row.length > 1)) {
+    return { error: 'Select cells in a single column.' };
+  }
+  
+  // Everything is pasted back over the selection, so what was read has to be exactly the selection
+  const selectedRows = getSheetsSelectedRowCount();
+  if (selectedRows === null) {
+    return { error: 'Select a range of cells in a single column, e.g. A2:A20.' };
+  }
+  if (rows.length !== selectedRows) {
+    debugLog(`Read ${rows.length} rows from the clipboard for a selection of ${selectedRows}`);
+    return { error: 'The copied cells differ from the selection, so nothing was changed. Try again.' };
+  }
+  
+  const cells = rows.map(row => row[0].trim());
+  for (const cell of cells) {
+    if (!cell) continue;
+    
+    const tokens = tokenizePastedText(cell);
+    if (tokens.length !== 1 || tokens[0].type !== 'link') {
+      return { error: `Select only cells holding a link - "${cell.substring(0, 40)}" isn't one.` };
+    }
+  }
+  
+  const urls = [...new Set(cells.filter(cell => cell))];
+  if (urls.length === 0) {
+    return { error: 'The selected cells hold no Jira, Asana, GitHub, GitLab or Linear links.' };
+  }
+  
+  const eventId = Date.now() + Math.random().toString(36).substring(2, 8);
+  debugLog(`[${eventId}] Converting ${cells.length} Sheets cells with ${urls.length} distinct links`);
+  
+  const response = await new Promise(resolve => {
+    chrome.runtime.sendMessage({ action: 'fetchTitles', urls }, result => {
+      resolve(chrome.runtime.lastError || !result ? {} : result);
+    });
+  });
+  const titles = response.titles || {};
+  
+  const extraColumns = [
+    extensionSettings.sheetsConvertTypeColumn && (data => data.issueType !== "Unknown" ? data.issueType : ''),
+    extensionSettings.sheetsConvertStatusColumn && (data => data.status),
+    extensionSettings.sheetsConvertAssigneeColumn && (data => data.assignee)
+  ].filter(Boolean);
+  
+  const lines = cells.map(url => {
+    const data = url ? titles[url] : null;
+    if (!data) {
+      return [url, ...extraColumns.map(() => '')].join('\t');
+    }
+    
+    const cacheData = createCacheEntry(data, findLinkProvider(url).defaultIssueType(url));
+    titleCache[url] = cacheData;
+    
+    const formula = getSheetsHyperlinkFormula(url, getSheetsLinkText(url, cacheData));
+    return [formula, ...extraColumns.map(getValue => toSheetsCellText(getValue(cacheData)))].join('\t');
+  });
+  
+  pasteTextIntoGoogleSheets(lines.join('\n'), copiedText, eventId);
+  
+  const converted = urls.filter(url => titles[url]).length;
+  debugLog(`Converted ${converted} of ${urls.length} links in Google Sheets`);
+  return { converted, total: urls.length };
 }
 
 // Function to update any pending link elements
@@ -2280,10 +3636,7 @@ function updatePendingLinks() {
         forceRefresh: FORCE_REFRESH
       }, response => {
         if (response && response.title && response.title !== tempText) {
-          titleCache[url] = {
-            title: response.title,
-            issueType: response.issueType
-          };
+          titleCache[url] = createCacheEntry(response);
         }
       });
       
@@ -2406,18 +3759,16 @@ function cleanupLeftoverUrls(element, url) {
         }
         // Handle Asana URLs (only in Google Chat)
         else if (isAsanaUrl && platform === 'google-chat') {
-          // Extract the task ID from the URL
-          const taskIdMatch = sanitizedUrl.match(ASANA_TASK_ID_REGEX);
-          const taskId = taskIdMatch ? taskIdMatch[1] : null;
-          if (!taskId) continue;
+          // Work out what the link points at
+          if (!classifyAsanaUrl(sanitizedUrl)) continue;
           
           // Get the cached title if available
           let displayText;
           
           if (titleCache[sanitizedUrl]) {
-            displayText = `✔️ ${titleCache[sanitizedUrl].title}`;
+            displayText = formatAsanaLinkText(titleCache[sanitizedUrl].title, sanitizedUrl, platform);
           } else {
-            displayText = `✔️ Asana Task ${taskId}`;
+            displayText = getAsanaFallbackText(sanitizedUrl);
           }
           
           // Create a range to replace just the URL text
@@ -2433,7 +3784,7 @@ function cleanupLeftoverUrls(element, url) {
           linkElement.setAttribute('data-is-hub-custom-hyperlink', 'true');
           linkElement.setAttribute('data-is-editable', 'true');
           linkElement.setAttribute('data-asana-extension-created', 'true');
-          linkElement.setAttribute('data-issue-type', 'AsanaTask');
+          linkElement.setAttribute('data-issue-type', getAsanaIssueType(sanitizedUrl));
           
           // Replace the URL with the link
           range.deleteContents();
@@ -2529,6 +3880,13 @@ function initializeExtension() {
     window._jiraSendButtonInterval = sendButtonInterval;
   }
   
+  // Periodically re-check beautified links on screen so renamed or moved issues stay current
+  window._jiraLinkRevalidateInterval = setInterval(revalidateRenderedLinks, LINK_REVALIDATE_CHECK_INTERVAL);
+  
+  // Show a details card when hovering over Jira and Asana links
+  document.addEventListener('mouseover', handleHoverCardMouseOver, true);
+  document.addEventListener('mouseout', handleHoverCardMouseOut, true);
+  
   // Add a visual indicator if in debug mode
   if (DEBUG) {
     addVisibleIndicator();
@@ -2541,7 +3899,10 @@ function initializeExtension() {
   
   // Do an initial cleanup after a short delay to catch any links that might exist
   // at startup (e.g., when refreshing the page with existing links)
+  // Editors with an adapter are left alone - a Gmail draft's quoted text isn't ours to rewrite
   setTimeout(() => {
+    if (getPlatformAdapter(platform)) return;
+    
     // Find all editable elements
     const editableElements = document.querySelectorAll('[contenteditable="true"]');
     for (const el of editableElements) {
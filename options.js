@@ -0,0 +1,628 @@
+// Options page for the Jira and Asana Link Beautifier
+
+// Settings as currently saved
+let currentSettings = { ...DEFAULT_SETTINGS };
+
+// API tokens as currently saved
+let currentCredentials = { ...DEFAULT_CREDENTIALS };
+
+// Function to show a status message at the bottom of the page
+function showStatus(message, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = isError ? 'error' : '';
+
+  if (!isError) {
+    setTimeout(() => {
+      if (status.textContent === message) {
+        status.textContent = '';
+      }
+    }, 3000);
+  }
+}
+
+// Function to render the list of configured Jira instances
+function renderJiraInstances() {
+  const list = document.getElementById('jira-instance-list');
+  list.innerHTML = '';
+
+  if (currentSettings.jiraInstances.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'No additional Jira instances';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const instance of currentSettings.jiraInstances) {
+    const item = document.createElement('li');
+
+    const label = document.createElement('span');
+    label.textContent = instance.baseUrl;
+    item.appendChild(label);
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeJiraInstance(instance.baseUrl));
+    item.appendChild(removeButton);
+
+    list.appendChild(item);
+  }
+}
+
+// Function to add a Jira instance, asking for access to its host first
+function addJiraInstance() {
+  const input = document.getElementById('jira-instance-input');
+  const baseUrl = normalizeJiraBaseUrl(input.value);
+
+  if (!baseUrl) {
+    showStatus('Please enter a valid Jira URL, e.g. https://jira.corp.example.com', true);
+    return;
+  }
+
+  if (currentSettings.jiraInstances.some(instance => instance.baseUrl === baseUrl)) {
+    showStatus(`${baseUrl} is already configured`, true);
+    return;
+  }
+
+  // The permission request must happen directly in the click handler
+  const originPattern = getOriginPattern(baseUrl);
+  chrome.permissions.request({ origins: [originPattern] }, granted => {
+    if (chrome.runtime.lastError || !granted) {
+      showStatus(`Access to ${baseUrl} was not granted, so titles can't be fetched from it`, true);
+      return;
+    }
+
+    const jiraInstances = [...currentSettings.jiraInstances, { baseUrl }];
+    saveSettings({ jiraInstances })
+      .then(() => {
+        currentSettings.jiraInstances = jiraInstances;
+        input.value = '';
+        renderJiraInstances();
+        showStatus(`Added ${baseUrl}`);
+      })
+      .catch(error => showStatus(`Could not save: ${error.message}`, true));
+  });
+}
+
+// Function to remove a Jira instance and give back its host permission
+function removeJiraInstance(baseUrl) {
+  const jiraInstances = currentSettings.jiraInstances.filter(instance => instance.baseUrl !== baseUrl);
+
+  saveSettings({ jiraInstances })
+    .then(() => {
+      currentSettings.jiraInstances = jiraInstances;
+      renderJiraInstances();
+      showStatus(`Removed ${baseUrl}`);
+
+      // Only drop the permission if no other Jira or GitLab instance lives on the same host
+      const originPattern = getOriginPattern(baseUrl);
+      const stillUsed = [...jiraInstances, ...currentSettings.gitlabInstances]
+        .some(instance => getOriginPattern(instance.baseUrl) === originPattern);
+      if (!stillUsed) {
+        chrome.permissions.remove({ origins: [originPattern] }, () => {
+          // Ignore errors - required host permissions can't be removed
+          void chrome.runtime.lastError;
+        });
+      }
+    })
+    .catch(error => showStatus(`Could not save: ${error.message}`, true));
+}
+
+// Function to render the projects whose bare issue keys are beautified
+function renderIssueKeyProjects() {
+  const list = document.getElementById('issue-key-project-list');
+  list.innerHTML = '';
+
+  if (currentSettings.issueKeyProjects.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'No projects - issue keys are left as they are';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const entry of currentSettings.issueKeyProjects) {
+    const item = document.createElement('li');
+
+    const label = document.createElement('span');
+    label.textContent = `${entry.project} → ${entry.baseUrl}`;
+    item.appendChild(label);
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeIssueKeyProject(entry.project));
+    item.appendChild(removeButton);
+
+    list.appendChild(item);
+  }
+}
+
+// Function to add a project whose bare issue keys are beautified
+// Its site has to be one the extension can already reach: Jira Cloud or a configured instance
+function addIssueKeyProject() {
+  const projectInput = document.getElementById('issue-key-project-input');
+  const siteInput = document.getElementById('issue-key-site-input');
+  const project = projectInput.value.trim().toUpperCase();
+  const baseUrl = normalizeJiraBaseUrl(siteInput.value);
+
+  if (!/^[A-Z]+$/.test(project)) {
+    showStatus('Please enter a project key, e.g. ABC', true);
+    return;
+  }
+
+  const isKnownSite = baseUrl && (/^https:\/\/[a-z0-9-]+\.atlassian\.net$/i.test(baseUrl) ||
+    currentSettings.jiraInstances.some(instance => instance.baseUrl === baseUrl));
+  if (!isKnownSite) {
+    showStatus('Please enter a Jira Cloud site (https://example.atlassian.net) or add the Jira instance above first', true);
+    return;
+  }
+
+  if (currentSettings.issueKeyProjects.some(entry => entry.project === project)) {
+    showStatus(`${project} is already configured`, true);
+    return;
+  }
+
+  const issueKeyProjects = [...currentSettings.issueKeyProjects, { project, baseUrl }];
+  saveSettings({ issueKeyProjects })
+    .then(() => {
+      currentSettings.issueKeyProjects = issueKeyProjects;
+      projectInput.value = '';
+      renderIssueKeyProjects();
+      showStatus(`Added ${project}`);
+    })
+    .catch(error => showStatus(`Could not save: ${error.message}`, true));
+}
+
+// Function to stop beautifying a project's bare issue keys
+function removeIssueKeyProject(project) {
+  const issueKeyProjects = currentSettings.issueKeyProjects.filter(entry => entry.project !== project);
+
+  saveSettings({ issueKeyProjects })
+    .then(() => {
+      currentSettings.issueKeyProjects = issueKeyProjects;
+      renderIssueKeyProjects();
+      showStatus(`Removed ${project}`);
+    })
+    .catch(error => showStatus(`Could not save: ${error.message}`, true));
+}
+
+// Function to render the list of configured GitLab instances
+function renderGitLabInstances() {
+  const list = document.getElementById('gitlab-instance-list');
+  list.innerHTML = '';
+
+  if (currentSettings.gitlabInstances.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'No GitLab instances besides public gitlab.com projects';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const instance of currentSettings.gitlabInstances) {
+    const item = document.createElement('li');
+
+    // Never show the token itself, only whether there is one
+    const label = document.createElement('span');
+    label.textContent = currentCredentials.gitlabTokens[instance.baseUrl] ? `${instance.baseUrl} (with token)` : instance.baseUrl;
+    item.appendChild(label);
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeGitLabInstance(instance.baseUrl));
+    item.appendChild(removeButton);
+
+    list.appendChild(item);
+  }
+}
+
+// Function to add a GitLab instance, asking for access to its host first
+function addGitLabInstance() {
+  const input = document.getElementById('gitlab-instance-input');
+  const tokenInput = document.getElementById('gitlab-token-input');
+  const baseUrl = normalizeGitLabBaseUrl(input.value);
+  const token = tokenInput.value.trim();
+
+  if (!baseUrl) {
+    showStatus('Please enter a valid GitLab URL, e.g. https://gitlab.corp.example.com', true);
+    return;
+  }
+
+  if (currentSettings.gitlabInstances.some(instance => instance.baseUrl === baseUrl)) {
+    showStatus(`${baseUrl} is already configured`, true);
+    return;
+  }
+
+  // The permission request must happen directly in the click handler
+  const originPattern = getOriginPattern(baseUrl);
+  chrome.permissions.request({ origins: [originPattern] }, granted => {
+    if (chrome.runtime.lastError || !granted) {
+      showStatus(`Access to ${baseUrl} was not granted, so titles can't be fetched from it`, true);
+      return;
+    }
+
+    const gitlabInstances = [...currentSettings.gitlabInstances, { baseUrl }];
+    const gitlabTokens = { ...currentCredentials.gitlabTokens };
+    if (token) {
+      gitlabTokens[baseUrl] = token;
+    }
+    Promise.all([saveSettings({ gitlabInstances }), saveCredentials({ gitlabTokens })])
+      .then(() => {
+        currentSettings.gitlabInstances = gitlabInstances;
+        currentCredentials.gitlabTokens = gitlabTokens;
+        input.value = '';
+        tokenInput.value = '';
+        renderGitLabInstances();
+        showStatus(`Added ${baseUrl}`);
+      })
+      .catch(error => showStatus(`Could not save: ${error.message}`, true));
+  });
+}
+
+// Function to remove a GitLab instance and give back its host permission
+function removeGitLabInstance(baseUrl) {
+  const gitlabInstances = currentSettings.gitlabInstances.filter(instance => instance.baseUrl !== baseUrl);
+  const gitlabTokens = { ...currentCredentials.gitlabTokens };
+  delete gitlabTokens[baseUrl];
+
+  Promise.all([saveSettings({ gitlabInstances }), saveCredentials({ gitlabTokens })])
+    .then(() => {
+      currentSettings.gitlabInstances = gitlabInstances;
+      currentCredentials.gitlabTokens = gitlabTokens;
+      renderGitLabInstances();
+      showStatus(`Removed ${baseUrl}`);
+
+      // Only drop the permission if no Jira or GitLab instance still lives on the same host
+      const originPattern = getOriginPattern(baseUrl);
+      const stillUsed = [...gitlabInstances, ...currentSettings.jiraInstances]
+        .some(instance => getOriginPattern(instance.baseUrl) === originPattern);
+      if (!stillUsed) {
+        chrome.permissions.remove({ origins: [originPattern] }, () => {
+          // Ignore errors - required host permissions (gitlab.com) can't be removed
+          void chrome.runtime.lastError;
+        });
+      }
+    })
+    .catch(error => showStatus(`Could not save: ${error.message}`, true));
+}
+
+// Function to wire up simple inputs that map directly onto a setting via data-setting
+function bindSettingInputs() {
+  const inputs = document.querySelectorAll('[data-setting]');
+
+  for (const input of inputs) {
+    const key = input.getAttribute('data-setting');
+
+    if (input.type === 'checkbox') {
+      input.checked = !!currentSettings[key];
+    } else {
+      input.value = currentSettings[key];
+    }
+
+    input.addEventListener('change', () => {
+      let value = input.value;
+      if (input.type === 'checkbox') {
+        value = input.checked;
+      } else if (input.type === 'number') {
+        value = Math.max(0, parseInt(input.value, 10) || 0);
+        input.value = value;
+      }
+
+      saveSettings({ [key]: value })
+        .then(() => {
+          currentSettings[key] = value;
+          showStatus('Saved');
+          renderTemplatePreviews();
+        })
+        .catch(error => showStatus(`Could not save: ${error.message}`, true));
+    });
+  }
+}
+
+// Function to wire up the API token inputs, which map onto a credential via data-credential
+function bindCredentialInputs() {
+  for (const input of document.querySelectorAll('[data-credential]')) {
+    const key = input.getAttribute('data-credential');
+    input.value = currentCredentials[key];
+
+    input.addEventListener('change', () => {
+      const value = input.value.trim();
+
+      saveCredentials({ [key]: value })
+        .then(() => {
+          currentCredentials[key] = value;
+          showStatus('Saved');
+        })
+        .catch(error => showStatus(`Could not save: ${error.message}`, true));
+    });
+  }
+}
+
+// Sample issue used for the template previews
+const TEMPLATE_PREVIEW_VALUES = {
+  icon: '🔴',
+  key: 'ABC-123',
+  summary: 'Login fails when the password contains a quote character',
+  status: 'In Progress',
+  assignee: 'Alex Kim',
+  type: 'Bug'
+};
+
+// Sample Asana projects, portfolios, goals and conversations for their template previews
+const ASANA_TEMPLATE_PREVIEW_VALUES = {
+  project: { icon: '📁', summary: 'Website relaunch', status: 'On track', type: 'Project' },
+  portfolio: { icon: '💼', summary: 'Marketing 2026', type: 'Portfolio' },
+  goal: { icon: '🎯', summary: 'Grow weekly active users by 20%', status: 'At risk', type: 'Goal' },
+  conversation: { icon: '💬', summary: 'Status update: launch moved to May', type: 'Conversation' }
+};
+
+// Sample GitHub pull request, issue and commit for their template previews
+const GITHUB_TEMPLATE_PREVIEW_VALUES = {
+  pull: { icon: '🔀', key: '#1234', summary: 'Fix auth race', status: 'merged', assignee: 'alexkim', type: 'Pull request' },
+  issue: { icon: '📌', key: '#987', summary: 'Token refresh fails after sleep', status: 'open', type: 'Issue' },
+  commit: { icon: '📝', key: 'a1b2c3d', summary: 'Bump dependencies', assignee: 'alexkim', type: 'Commit' }
+};
+
+// Sample GitLab merge request, issue and project for their template previews
+const GITLAB_TEMPLATE_PREVIEW_VALUES = {
+  merge_request: { icon: '🔀', key: '!482', summary: 'Add retry to exporter', status: 'open', assignee: 'Alex Kim', type: 'Merge request' },
+  issue: { icon: '📌', key: '#56', summary: 'Exporter drops rows on timeout', status: 'closed', type: 'Issue' },
+  project: { icon: '📦', key: 'platform/exporter', summary: 'Platform / Exporter', type: 'Project' }
+};
+
+// Sample values for the templates of each setting other than the platform templates
+const TEMPLATE_PREVIEW_VALUES_BY_SETTING = {
+  asanaLinkTemplates: ASANA_TEMPLATE_PREVIEW_VALUES,
+  githubLinkTemplates: GITHUB_TEMPLATE_PREVIEW_VALUES,
+  gitlabLinkTemplates: GITLAB_TEMPLATE_PREVIEW_VALUES
+};
+
+// Same badges the content script uses for the "badge" status display
+const TEMPLATE_PREVIEW_BADGE = '🔄';
+
+// Helper function to get the setting a template input belongs to (platform templates unless it says otherwise)
+function getTemplateSetting(input) {
+  return input.getAttribute('data-template-setting') || 'linkTemplates';
+}
+
+// Function to get a saved template, falling back to the default
+function getTemplate(setting, name) {
+  const templates = currentSettings[setting] || {};
+  return templates[name] || DEFAULT_SETTINGS[setting][name];
+}
+
+// Function to show what each template looks like for a sample issue
+function renderTemplatePreviews() {
+  for (const input of document.querySelectorAll('[data-template]')) {
+    const setting = getTemplateSetting(input);
+    const name = input.getAttribute('data-template');
+    const template = input.value || DEFAULT_SETTINGS[setting][name];
+    const values = TEMPLATE_PREVIEW_VALUES_BY_SETTING[setting] ? TEMPLATE_PREVIEW_VALUES_BY_SETTING[setting][name] : TEMPLATE_PREVIEW_VALUES;
+
+    let preview = renderLinkTemplate(template, values, {
+      maxSummaryLength: Number(currentSettings.maxSummaryLength) || 0
+    });
+
+    // Mirror how the status is added when the template doesn't place it (Sheets has a column instead)
+    if (name !== 'google-sheets' && values.status && !templateUsesPlaceholder(template, 'status')) {
+      if (currentSettings.jiraStatusDisplay === 'suffix') {
+        preview += ` [${values.status}]`;
+      } else if (currentSettings.jiraStatusDisplay === 'badge' && values === TEMPLATE_PREVIEW_VALUES) {
+        preview += ` ${TEMPLATE_PREVIEW_BADGE}`;
+      }
+    }
+
+    // Template names repeat across settings (GitHub and GitLab issues), so the preview goes by the input's ID
+    document.getElementById(input.id.replace(/^template-/, 'preview-')).textContent = preview;
+  }
+}
+
+// Function to save all templates of one setting at once
+function saveTemplates(setting, templates) {
+  return saveSettings({ [setting]: templates })
+    .then(() => {
+      currentSettings[setting] = templates;
+      showStatus('Saved');
+    })
+    .catch(error => showStatus(`Could not save: ${error.message}`, true));
+}
+
+// Function to wire up the template inputs with a live preview
+function bindTemplateInputs() {
+  const inputs = [...document.querySelectorAll('[data-template]')];
+
+  for (const input of inputs) {
+    const setting = getTemplateSetting(input);
+    input.value = getTemplate(setting, input.getAttribute('data-template'));
+    input.addEventListener('input', renderTemplatePreviews);
+    input.addEventListener('change', () => {
+      const templates = {};
+      for (const templateInput of inputs.filter(other => getTemplateSetting(other) === setting)) {
+        const name = templateInput.getAttribute('data-template');
+        // An empty template means the default
+        templates[name] = templateInput.value.trim() || DEFAULT_SETTINGS[setting][name];
+      }
+      saveTemplates(setting, templates);
+    });
+  }
+
+  document.getElementById('templates-reset').addEventListener('click', () => {
+    for (const input of inputs) {
+      input.value = DEFAULT_SETTINGS[getTemplateSetting(input)][input.getAttribute('data-template')];
+    }
+    renderTemplatePreviews();
+
+    const defaults = {};
+    for (const setting of new Set(inputs.map(getTemplateSetting))) {
+      defaults[setting] = { ...DEFAULT_SETTINGS[setting] };
+    }
+    saveSettings(defaults)
+      .then(() => {
+        Object.assign(currentSettings, defaults);
+        showStatus('Saved');
+      })
+      .catch(error => showStatus(`Could not save: ${error.message}`, true));
+  });
+
+  renderTemplatePreviews();
+}
+
+// Function to save the issue type icon rules, leaving out rows that aren't filled in
+function saveIconRules(rules) {
+  const issueTypeIcons = rules
+    .map(rule => ({ type: rule.type.trim(), project: rule.project.trim().toUpperCase(), icon: rule.icon.trim() }))
+    .filter(rule => rule.type && rule.icon);
+
+  return saveSettings({ issueTypeIcons })
+    .then(() => {
+      currentSettings.issueTypeIcons = issueTypeIcons;
+      showStatus('Saved');
+    })
+    .catch(error => showStatus(`Could not save: ${error.message}`, true));
+}
+
+// Function to read the icon rules as currently typed in the table
+function readIconRules() {
+  return Array.from(document.querySelectorAll('#icon-rule-list tr')).map(row => ({
+    type: row.querySelector('.type').value,
+    project: row.querySelector('.project').value,
+    icon: row.querySelector('.icon').value
+  }));
+}
+
+// Function to render the issue type icon rules as editable rows
+function renderIconRules(rules) {
+  const list = document.getElementById('icon-rule-list');
+  list.innerHTML = '';
+
+  for (const rule of rules) {
+    const row = document.createElement('tr');
+
+    for (const [field, placeholder] of [['type', 'Spike'], ['project', 'All projects'], ['icon', '🧪']]) {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = field;
+      input.placeholder = placeholder;
+      input.value = rule[field] || '';
+      input.addEventListener('change', () => saveIconRules(readIconRules()));
+      cell.appendChild(input);
+      row.appendChild(cell);
+    }
+
+    const removeCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+      row.remove();
+      saveIconRules(readIconRules());
+    });
+    removeCell.appendChild(removeButton);
+    row.appendChild(removeCell);
+
+    list.appendChild(row);
+  }
+}
+
+// Function to wire up the issue type icon rules table
+function bindIconRules() {
+  renderIconRules(currentSettings.issueTypeIcons);
+
+  document.getElementById('icon-rule-add').addEventListener('click', () => {
+    // The new row is only saved once it has a type and an icon
+    renderIconRules([...readIconRules(), { type: '', project: '', icon: '' }]);
+    const rows = document.querySelectorAll('#icon-rule-list tr');
+    rows[rows.length - 1].querySelector('.type').focus();
+  });
+
+  document.getElementById('icon-rules-reset').addEventListener('click', () => {
+    renderIconRules(DEFAULT_SETTINGS.issueTypeIcons);
+    saveIconRules(readIconRules());
+  });
+}
+
+// Names of the cells a Jira issue row pasted into Google Sheets can hold
+const SHEETS_PASTE_COLUMN_NAMES = {
+  key: 'Issue key',
+  summary: 'Summary',
+  type: 'Issue type',
+  status: 'Status',
+  assignee: 'Assignee',
+  sprint: 'Sprint'
+};
+
+// Function to render a checkbox per column of a Jira issue row pasted into Google Sheets
+function renderSheetsPasteColumns() {
+  const container = document.getElementById('sheets-paste-columns');
+  container.innerHTML = '';
+
+  for (const column of SHEETS_PASTE_COLUMNS) {
+    const label = document.createElement('label');
+    label.className = 'option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = currentSettings.sheetsPasteColumns.includes(column);
+    checkbox.addEventListener('change', () => {
+      const selected = currentSettings.sheetsPasteColumns.filter(other => other !== column);
+      if (checkbox.checked) {
+        selected.push(column);
+      }
+      saveSheetsPasteColumns(selected);
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${SHEETS_PASTE_COLUMN_NAMES[column]}`));
+    container.appendChild(label);
+  }
+}
+
+// Function to save the columns of a Jira issue row, always in the same order
+function saveSheetsPasteColumns(columns) {
+  const sheetsPasteColumns = SHEETS_PASTE_COLUMNS.filter(column => columns.includes(column));
+
+  saveSettings({ sheetsPasteColumns })
+    .then(() => {
+      currentSettings.sheetsPasteColumns = sheetsPasteColumns;
+      showStatus('Saved');
+    })
+    .catch(error => showStatus(`Could not save: ${error.message}`, true));
+}
+
+// Function to initialize the options page
+function initOptionsPage() {
+  Promise.all([loadSettings(), loadCredentials()]).then(([settings, credentials]) => {
+    currentSettings = settings;
+    currentCredentials = credentials;
+    renderJiraInstances();
+    renderGitLabInstances();
+    renderIssueKeyProjects();
+    renderSheetsPasteColumns();
+    bindSettingInputs();
+    bindCredentialInputs();
+    bindTemplateInputs();
+    bindIconRules();
+  });
+
+  document.getElementById('jira-instance-add').addEventListener('click', addJiraInstance);
+  document.getElementById('jira-instance-input').addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+      addJiraInstance();
+    }
+  });
+  document.getElementById('issue-key-project-add').addEventListener('click', addIssueKeyProject);
+  document.getElementById('issue-key-site-input').addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+      addIssueKeyProject();
+    }
+  });
+  document.getElementById('gitlab-instance-add').addEventListener('click', addGitLabInstance);
+  document.getElementById('gitlab-instance-input').addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+      addGitLabInstance();
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initOptionsPage);
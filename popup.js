@@ -0,0 +1,217 @@
+// Toolbar popup for the Jira and Asana Link Beautifier
+
+// Platforms that can be paused one by one, with their names as shown on the options page
+const POPUP_PLATFORMS = [
+  { id: 'google-chat', name: 'Google Chat' },
+  { id: 'asana', name: 'Asana' },
+  { id: 'google-sheets', name: 'Google Sheets' },
+  { id: 'gmail', name: 'Gmail' },
+  { id: 'google-docs', name: 'Google Docs' },
+  { id: 'google-slides', name: 'Google Slides' }
+];
+
+// Settings as currently saved
+let currentSettings = { ...DEFAULT_SETTINGS };
+
+// Function to show a status message at the bottom of the popup
+function showStatus(message, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = isError ? 'error' : '';
+
+  if (!isError) {
+    setTimeout(() => {
+      if (status.textContent === message) {
+        status.textContent = '';
+      }
+    }, 3000);
+  }
+}
+
+// Function to send a message to the background script
+function sendBackgroundMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+// Function to save the pause settings
+function savePauseSettings(changes) {
+  currentSettings = { ...currentSettings, ...changes };
+  renderPauseToggles();
+  saveSettings(changes)
+    .catch(error => showStatus(`Could not save: ${error.message}`, true));
+}
+
+// Function to render the global and per-platform pause checkboxes
+function renderPauseToggles() {
+  const pauseAll = document.getElementById('pause-all');
+  pauseAll.checked = currentSettings.beautificationPaused;
+
+  const container = document.getElementById('pause-platforms');
+  container.innerHTML = '';
+
+  for (const platform of POPUP_PLATFORMS) {
+    const label = document.createElement('label');
+    label.className = 'option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = currentSettings.pausedPlatforms.includes(platform.id);
+    // Pausing everywhere covers every platform
+    checkbox.disabled = currentSettings.beautificationPaused;
+    checkbox.addEventListener('change', () => {
+      const pausedPlatforms = currentSettings.pausedPlatforms.filter(id => id !== platform.id);
+      if (checkbox.checked) {
+        pausedPlatforms.push(platform.id);
+      }
+      savePauseSettings({ pausedPlatforms });
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` Pause in ${platform.name}`));
+    container.appendChild(label);
+  }
+}
+
+// Function to copy a link to the clipboard as both a rich link and plain text
+function copyLink(link) {
+  const item = new ClipboardItem({
+    'text/html': new Blob([link.html], { type: 'text/html' }),
+    'text/plain': new Blob([link.text], { type: 'text/plain' })
+  });
+
+  navigator.clipboard.write([item])
+    .then(() => showStatus('Copied'))
+    .catch(error => showStatus(`Could not copy: ${error.message}`, true));
+}
+
+// Function to render the most recently used links, each with a copy button
+function renderRecentLinks(links) {
+  const list = document.getElementById('recent-link-list');
+  list.innerHTML = '';
+
+  if (links.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'No links beautified yet';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const link of links) {
+    const item = document.createElement('li');
+
+    const anchor = document.createElement('a');
+    anchor.href = link.url;
+    anchor.target = '_blank';
+    anchor.textContent = link.label;
+    anchor.title = `${link.provider}: ${link.url}`;
+    item.appendChild(anchor);
+
+    const copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy';
+    copyButton.addEventListener('click', () => copyLink(link));
+    item.appendChild(copyButton);
+
+    list.appendChild(item);
+  }
+}
+
+// Function to describe where sign-in stands for a service
+// The background only learns about sign-in when a title fetch needed it
+function describeAuthStatus(status) {
+  if (status.pendingCount > 0) {
+    const links = status.pendingCount === 1 ? '1 link' : `${status.pendingCount} links`;
+    return `Waiting for sign-in (${links})`;
+  }
+  if (status.authenticated) {
+    return 'Signed in';
+  }
+  if (status.lastAuthAttempt) {
+    return `Sign-in requested at ${new Date(status.lastAuthAttempt).toLocaleTimeString()}`;
+  }
+  return 'No sign-in needed so far';
+}
+
+// Function to render the sign-in state for Jira and Asana
+function renderAuthStatus(authStatus) {
+  document.getElementById('auth-jira').textContent = `Jira: ${describeAuthStatus(authStatus.jira)}`;
+  document.getElementById('auth-asana').textContent = `Asana: ${describeAuthStatus(authStatus.asana)}`;
+}
+
+// Function to render the number of cached titles
+function renderCacheSize(cacheSize) {
+  document.getElementById('cache-size').textContent = cacheSize === 1 ? '1 title' : `${cacheSize} titles`;
+}
+
+// Function to load and render what the background script knows
+function refreshPopupState() {
+  return sendBackgroundMessage({ action: 'getPopupState' })
+    .then(state => {
+      renderRecentLinks(state.recentLinks);
+      renderAuthStatus(state.authStatus);
+      renderCacheSize(state.cacheSize);
+    })
+    .catch(error => showStatus(`Could not reach the extension: ${error.message}`, true));
+}
+
+// Function to fetch every cached title again
+function refreshAllTitles() {
+  sendBackgroundMessage({ action: 'refreshAllTitles' })
+    .then(response => showStatus(`Refreshing ${response.queued} titles`))
+    .catch(error => showStatus(`Could not refresh titles: ${error.message}`, true));
+}
+
+// Function to clear the title cache
+function clearTitleCache() {
+  sendBackgroundMessage({ action: 'clearTitleCache' })
+    .then(response => {
+      showStatus(`Cleared ${response.cleared} titles`);
+      return refreshPopupState();
+    })
+    .catch(error => showStatus(`Could not clear the cache: ${error.message}`, true));
+}
+
+// Function to beautify the raw links already shown in the current tab
+function beautifyLinksOnPage() {
+  chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+    if (!tabs || tabs.length === 0) return;
+
+    sendBackgroundMessage({ action: 'beautifyExistingLinks', tabId: tabs[0].id })
+      .then(response => {
+        const links = response.decorated === 1 ? '1 link' : `${response.decorated} links`;
+        showStatus(`Beautified ${links}`);
+        return refreshPopupState();
+      })
+      .catch(error => showStatus(`Could not beautify links: ${error.message}`, true));
+  });
+}
+
+// Function to initialize the popup
+function initPopup() {
+  loadSettings().then(settings => {
+    currentSettings = settings;
+    renderPauseToggles();
+  });
+  refreshPopupState();
+
+  document.getElementById('pause-all').addEventListener('change', event => {
+    savePauseSettings({ beautificationPaused: event.target.checked });
+  });
+  document.getElementById('beautify-page').addEventListener('click', beautifyLinksOnPage);
+  document.getElementById('refresh-titles').addEventListener('click', refreshAllTitles);
+  document.getElementById('clear-cache').addEventListener('click', clearTitleCache);
+  document.getElementById('open-options').addEventListener('click', event => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initPopup);
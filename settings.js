@@ -0,0 +1,552 @@
+// Shared settings helpers for the background script, content scripts and options page
+// Settings live in chrome.storage.sync so they follow the user between browsers;
+// API tokens stay in chrome.storage.local on this device
+
+const DEFAULT_SETTINGS = {
+  // Jira instances in addition to Jira Cloud (*.atlassian.net), e.g. self-hosted
+  // Jira Server/Data Center. Each entry is { baseUrl: 'https://jira.corp.example.com' }
+  jiraInstances: [],
+
+  // Leave every paste alone, e.g. while pasting raw URLs on purpose (switched from the toolbar popup)
+  beautificationPaused: false,
+
+  // Platforms where pastes are left alone: 'google-chat', 'asana', 'google-sheets', 'gmail', ...
+  pausedPlatforms: [],
+
+  // Beautify every Jira/Asana link in pasted text, not only pastes of a single link
+  beautifyMultiLinkPastes: true,
+
+  // Beautify bare issue keys (ABC-123) pasted without a URL, for the projects in issueKeyProjects
+  beautifyIssueKeys: false,
+
+  // Also beautify such an issue key as soon as it's typed and followed by a space
+  beautifyTypedIssueKeys: false,
+
+  // Jira projects whose bare issue keys are turned into links, and the Jira site each belongs to.
+  // Each entry is { project: 'ABC', baseUrl: 'https://example.atlassian.net' }
+  issueKeyProjects: [],
+
+  // How to show a Jira issue's status after its title: 'none', 'suffix' ([In Progress]) or 'badge' (🔄)
+  jiraStatusDisplay: 'suffix',
+
+  // Put the Jira issue status in the next column when pasting into Google Sheets
+  sheetsStatusColumn: false,
+
+  // How a Jira issue link pasted into Google Sheets is laid out: 'link' (a single HYPERLINK cell)
+  // or 'columns' (a row with a cell per entry of sheetsPasteColumns, the first one linked)
+  sheetsPasteMode: 'link',
+
+  // Cells of a row pasted in the 'columns' mode, from left to right (see SHEETS_PASTE_COLUMNS)
+  sheetsPasteColumns: ['key', 'summary', 'type', 'status', 'assignee', 'sprint'],
+
+  // Columns filled in to the right when converting a Google Sheets column of links to HYPERLINK formulas
+  sheetsConvertTypeColumn: false,
+  sheetsConvertStatusColumn: false,
+  sheetsConvertAssigneeColumn: false,
+
+  // Minutes after which links on screen are re-checked for title/status changes (0 turns this off)
+  liveRefreshMinutes: 5,
+
+  // Show assignee, status, due date, etc. when hovering over a Jira or Asana link
+  hoverCards: true,
+
+  // Link text per platform. Placeholders: {icon} {key} {summary} {status} {assignee} {type} {due}
+  // Empty placeholders are dropped along with the separator next to them
+  linkTemplates: {
+    'google-chat': '{icon} {key}: {summary}',
+    'asana': '{icon} {key}: {summary}',
+    'google-sheets': '{summary}',
+    'gmail': '{icon} {key}: {summary}',
+    'google-docs': '{icon} {key}: {summary}',
+    'google-slides': '{icon} {key}: {summary}'
+  },
+
+  // Link text for Asana links other than tasks, everywhere but Sheets (which uses its template above)
+  asanaLinkTemplates: {
+    'project': '{icon} {type}: {summary}',
+    'portfolio': '{icon} {type}: {summary}',
+    'goal': '{icon} {type}: {summary}',
+    'conversation': '{icon} {summary}'
+  },
+
+  // How completed Asana tasks are shown: 'checkmark' (✅ instead of ✔️), 'strikethrough' or 'none'
+  asanaCompletedDisplay: 'checkmark',
+
+  // Link text for GitHub pull requests, issues and commits, everywhere but Google Sheets
+  githubLinkTemplates: {
+    'pull': '{key} {summary}',
+    'issue': '{key} {summary}',
+    'commit': '{key} {summary}'
+  },
+
+  // Link text for GitLab merge requests, issues and projects, everywhere but Google Sheets
+  gitlabLinkTemplates: {
+    'merge_request': '{key} {summary}',
+    'issue': '{key} {summary}',
+    'project': '{icon} {summary}'
+  },
+
+  // Shorten summaries longer than this many characters in link text (0 keeps them whole)
+  maxSummaryLength: 0,
+
+  // Icons for Jira issue types. Each rule is { type, project, icon }: type is an issue type name
+  // (an exact match beats a partial one), project an optional project key, icon an emoji or text
+  issueTypeIcons: [
+    { type: 'Epic', project: '', icon: '🟣' },
+    { type: 'Bug', project: '', icon: '🔴' },
+    { type: 'Task', project: '', icon: '🔹' },
+    { type: 'Story', project: '', icon: '🟢' },
+    { type: 'Confluence', project: '', icon: '📄' }
+  ],
+
+  // Icon for issue types no rule matches
+  defaultIssueTypeIcon: '🔵',
+
+  // Show Jira's own issue type images (issuetype.iconUrl) where images can be displayed
+  useJiraIssueTypeImages: false,
+
+  // GitLab instances in addition to gitlab.com, e.g. a self-hosted GitLab. Each entry is
+  // { baseUrl: 'https://gitlab.corp.example.com' }; its optional token is in DEFAULT_CREDENTIALS.gitlabTokens
+  gitlabInstances: []
+};
+
+// API tokens, kept apart from the settings in chrome.storage.local: they aren't synced to the
+// Google account, and only the background script (which sends them) and the options page read them
+const DEFAULT_CREDENTIALS = {
+  // GitHub personal access token, only needed for private repositories and higher rate limits
+  githubToken: '',
+
+  // Linear personal API key - Linear issues can't be looked up without one
+  linearApiKey: '',
+
+  // GitLab personal access tokens by instance base URL, each only sent to its own instance
+  // (adding gitlab.com with a token covers private projects there)
+  gitlabTokens: {}
+};
+
+// Everything a Jira issue row pasted into Google Sheets can hold, in column order
+const SHEETS_PASTE_COLUMNS = ['key', 'summary', 'type', 'status', 'assignee', 'sprint'];
+
+// Function to load the settings, filling in defaults for anything not saved yet
+function loadSettings() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get(DEFAULT_SETTINGS, items => {
+      if (chrome.runtime.lastError) {
+        console.log(`Could not load settings: ${chrome.runtime.lastError.message}`);
+        resolve({ ...DEFAULT_SETTINGS });
+        return;
+      }
+      resolve(items);
+    });
+  });
+}
+
+// Function to save some settings
+function saveSettings(changes) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set(changes, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Function to be notified when settings change in any part of the extension
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+
+    const updated = {};
+    for (const key in changes) {
+      if (key in DEFAULT_SETTINGS) {
+        updated[key] = changes[key].newValue !== undefined ? changes[key].newValue : DEFAULT_SETTINGS[key];
+      }
+    }
+
+    if (Object.keys(updated).length > 0) {
+      callback(updated);
+    }
+  });
+}
+
+// Function to load the API tokens, filling in defaults for anything not saved yet
+function loadCredentials() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(DEFAULT_CREDENTIALS, items => {
+      if (chrome.runtime.lastError) {
+        console.log(`Could not load credentials: ${chrome.runtime.lastError.message}`);
+        resolve({ ...DEFAULT_CREDENTIALS });
+        return;
+      }
+      resolve(items);
+    });
+  });
+}
+
+// Function to save some API tokens
+function saveCredentials(changes) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(changes, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Function to be notified when API tokens change
+function onCredentialsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    const updated = {};
+    for (const key in changes) {
+      if (key in DEFAULT_CREDENTIALS) {
+        updated[key] = changes[key].newValue !== undefined ? changes[key].newValue : DEFAULT_CREDENTIALS[key];
+      }
+    }
+
+    if (Object.keys(updated).length > 0) {
+      callback(updated);
+    }
+  });
+}
+
+// Function to escape a string for use inside a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Function to turn whatever the user typed into a clean Jira base URL
+// e.g. "jira.corp.example.com/jira/browse/ABC-1" -> "https://jira.corp.example.com/jira"
+function normalizeJiraBaseUrl(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  let value = input.trim();
+  if (!value) return null;
+
+  // Assume https if no protocol was given
+  if (!/^https?:\/\//i.test(value)) {
+    value = `https://${value}`;
+  }
+
+  try {
+    const urlObj = new URL(value);
+    // Drop anything from a known Jira route onwards to keep the context path only
+    let path = urlObj.pathname.split(/\/(?:browse|issues|projects|secure)(?:\/|$)/)[0];
+    path = path.replace(/\/+$/, '');
+    return `${urlObj.origin}${path}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Function to find the configured Jira instance a URL belongs to (longest match wins)
+function findJiraInstance(url, instances) {
+  if (!url || !instances) return null;
+
+  let bestMatch = null;
+  for (const instance of instances) {
+    if (!instance || !instance.baseUrl) continue;
+
+    const baseUrl = instance.baseUrl;
+    if (url === baseUrl || url.startsWith(`${baseUrl}/`) || url.startsWith(`${baseUrl}?`)) {
+      if (!bestMatch || baseUrl.length > bestMatch.baseUrl.length) {
+        bestMatch = instance;
+      }
+    }
+  }
+
+  return bestMatch;
+}
+
+// Function to build the /browse/ URL for a bare issue key ("ABC-123") of a configured project
+// Returns null for anything else, including keys of projects nobody configured
+function getIssueKeyUrl(text, projects) {
+  const match = typeof text === 'string' ? text.trim().match(/^([A-Z]+)-(\d+)$/i) : null;
+  if (!match) return null;
+
+  const projectKey = match[1].toUpperCase();
+  const entry = (projects || []).find(project => project && project.baseUrl &&
+    (project.project || '').toUpperCase() === projectKey);
+  return entry ? `${entry.baseUrl}/browse/${projectKey}-${match[2]}` : null;
+}
+
+// Icon for Jira Service Management requests, whatever their request type
+const SERVICE_DESK_ICON = '🎫';
+
+// Icons for Jira boards/backlogs and for saved filters/JQL searches
+const JIRA_BOARD_ICON = '📋';
+const JIRA_SEARCH_ICON = '🔎';
+
+// Function to pick the icon for an issue type from the icon rules
+// Exact type matches beat partial ones ("Sub-task" vs "Task"), and a rule for the
+// issue's project beats a rule for every project; otherwise the first rule wins
+function findIssueTypeIcon(issueType, projectKey, rules, defaultIcon) {
+  const type = (issueType || '').toLowerCase();
+  const project = (projectKey || '').toUpperCase();
+
+  let bestRule = null;
+  let bestScore = 0;
+  for (const rule of rules || []) {
+    if (!rule || !rule.type || !rule.icon) continue;
+
+    const ruleType = rule.type.toLowerCase();
+    const ruleProject = (rule.project || '').toUpperCase();
+    if (ruleProject && ruleProject !== project) continue;
+
+    let score = 0;
+    if (ruleType === type) {
+      score = 3;
+    } else if (type.includes(ruleType)) {
+      score = 1;
+    }
+    if (!score) continue;
+    if (ruleProject) score += 1;
+
+    if (score > bestScore) {
+      bestRule = rule;
+      bestScore = score;
+    }
+  }
+
+  return bestRule ? bestRule.icon : defaultIcon;
+}
+
+// Helper function to get the icon for an issue type from the configured icon rules
+// Uses the extensionSettings the background and content scripts each keep up to date
+function getIssueTypeIcon(issueType, issueKey) {
+  const projectKey = issueKey ? issueKey.split('-')[0] : null;
+  const rules = extensionSettings.issueTypeIcons || DEFAULT_SETTINGS.issueTypeIcons;
+  const defaultIcon = extensionSettings.defaultIssueTypeIcon || DEFAULT_SETTINGS.defaultIssueTypeIcon;
+  return findIssueTypeIcon(issueType, projectKey, rules, defaultIcon);
+}
+
+// Asana project views that follow the project ID in legacy /0/PROJECT/view URLs
+const ASANA_PROJECT_VIEWS = ['list', 'board', 'timeline', 'calendar', 'overview', 'files', 'messages', 'progress', 'workflow', 'dashboard', 'gantt'];
+
+// Function to work out what an Asana URL points at: a task, project, portfolio, goal or conversation
+// Returns { kind, id } or null. Legacy /0/PROJECT/TASK URLs and the newer
+// /1/WORKSPACE/project/PROJECT/task/TASK URLs are both understood
+function classifyAsanaUrl(url) {
+  if (!url || !url.includes('app.asana.com')) return null;
+  
+  let path;
+  try {
+    path = new URL(url).pathname;
+  } catch (e) {
+    return null;
+  }
+  
+  // Explicitly named objects come first - a task inside a project is still a task
+  const namedPatterns = [
+    ['task', /\/item\/(\d+)/],
+    ['task', /\/task\/(\d+)/],
+    ['portfolio', /\/portfolios?\/(\d+)/],
+    ['goal', /\/goals?\/(\d+)/],
+    ['conversation', /\/(?:messages|conversations?|status)\/(\d+)/],
+    ['project', /\/project\/(\d+)/]
+  ];
+  for (const [kind, pattern] of namedPatterns) {
+    const match = path.match(pattern);
+    if (match) return { kind, id: match[1] };
+  }
+  
+  // Legacy URLs: /0/PROJECT/TASK(/f), /0/PROJECT/list, /0/PROJECT/PROJECT, /0/0/TASK
+  const legacyMatch = path.match(/^\/0\/(\d+)(?:\/([^\/]+))?/);
+  if (legacyMatch) {
+    const [, firstId, second] = legacyMatch;
+    if (!second || ASANA_PROJECT_VIEWS.includes(second)) {
+      return firstId === '0' ? null : { kind: 'project', id: firstId };
+    }
+    if (/^\d+$/.test(second)) {
+      return second === firstId ? { kind: 'project', id: firstId } : { kind: 'task', id: second };
+    }
+  }
+  
+  // Anything else - the longest numeric segment is usually a task ID
+  let taskId = null;
+  for (const part of path.split('/')) {
+    if (/^\d+$/.test(part) && part !== '0' && (!taskId || part.length > taskId.length)) {
+      taskId = part;
+    }
+  }
+  return taskId ? { kind: 'task', id: taskId } : null;
+}
+
+// Issue types for each kind of Asana link
+const ASANA_ISSUE_TYPES = {
+  task: "AsanaTask",
+  project: "AsanaProject",
+  portfolio: "AsanaPortfolio",
+  goal: "AsanaGoal",
+  conversation: "AsanaConversation"
+};
+
+// Icons for each kind of Asana link, and for completed tasks
+const ASANA_LINK_ICONS = {
+  task: '✔️',
+  project: '📁',
+  portfolio: '💼',
+  goal: '🎯',
+  conversation: '💬'
+};
+const ASANA_COMPLETED_ICON = '✅';
+
+// Helper function to get the issue type for an Asana URL ("AsanaTask", "AsanaProject", ...)
+function getAsanaIssueType(url) {
+  const asanaLink = classifyAsanaUrl(url);
+  return asanaLink ? ASANA_ISSUE_TYPES[asanaLink.kind] : "AsanaTask";
+}
+
+// GitHub pull request, issue and commit URLs: github.com/OWNER/REPO/pull/12, /issues/34, /commit/SHA
+const GITHUB_URL_REGEX = /^https?:\/\/(?:www\.)?github\.com\/([\w.-]+)\/([\w.-]+)\/(pull|issues|commit)\/(\d+|[0-9a-f]{7,40})(?=[\/?#]|$)/i;
+
+// Issue types for each kind of GitHub link
+const GITHUB_ISSUE_TYPES = {
+  pull: "GitHubPullRequest",
+  issue: "GitHubIssue",
+  commit: "GitHubCommit"
+};
+
+// Icons for each kind of GitHub link
+const GITHUB_LINK_ICONS = {
+  pull: '🔀',
+  issue: '📌',
+  commit: '📝'
+};
+
+// Function to work out what a GitHub URL points at
+// Returns { kind: 'pull'|'issue'|'commit', owner, repo, id } or null
+function parseGitHubUrl(url) {
+  const match = url ? url.match(GITHUB_URL_REGEX) : null;
+  if (!match) return null;
+  
+  const [, owner, repo, section, id] = match;
+  const kind = section.toLowerCase() === 'issues' ? 'issue' : section.toLowerCase();
+  // Pull requests and issues are numbered, commits are SHAs
+  if (kind === 'commit' ? !/^[0-9a-f]{7,40}$/i.test(id) : !/^\d+$/.test(id)) return null;
+  
+  return { kind, owner, repo, id };
+}
+
+// Helper function to get the key shown for a GitHub link: #1234 or a short commit SHA
+function getGitHubLinkKey(githubLink) {
+  return githubLink.kind === 'commit' ? githubLink.id.substring(0, 7) : `#${githubLink.id}`;
+}
+
+// Linear issue URLs: linear.app/WORKSPACE/issue/ENG-123(/title-slug)
+const LINEAR_URL_REGEX = /^https?:\/\/linear\.app\/([\w-]+)\/issue\/([A-Z][A-Z0-9]*-\d+)(?=[\/?#]|$)/i;
+
+// Function to work out which Linear issue a URL points at
+// Returns { workspace, key } or null
+function parseLinearUrl(url) {
+  const match = url ? url.match(LINEAR_URL_REGEX) : null;
+  if (!match) return null;
+  
+  return { workspace: match[1], key: match[2].toUpperCase() };
+}
+
+// gitlab.com works out of the box; public projects there need no token
+const GITLAB_COM_BASE_URL = 'https://gitlab.com';
+
+// First path segments of GitLab pages that aren't projects (users, groups, the dashboard, ...)
+const GITLAB_RESERVED_PATHS = ['-', 'admin', 'api', 'dashboard', 'explore', 'groups', 'help', 'oauth', 'profile', 'projects', 'search', 'users'];
+
+// Issue types for each kind of GitLab link
+const GITLAB_ISSUE_TYPES = {
+  merge_request: "GitLabMergeRequest",
+  issue: "GitLabIssue",
+  project: "GitLabProject"
+};
+
+// Icons for each kind of GitLab link
+const GITLAB_LINK_ICONS = {
+  merge_request: '🔀',
+  issue: '📌',
+  project: '📦'
+};
+
+// Function to turn whatever the user typed into a clean GitLab base URL
+// e.g. "gitlab.corp.example.com/" -> "https://gitlab.corp.example.com"
+// A relative URL root (/gitlab) is kept; anything from a /-/ route onwards is dropped
+function normalizeGitLabBaseUrl(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  let value = input.trim();
+  if (!value) return null;
+
+  // Assume https if no protocol was given
+  if (!/^https?:\/\//i.test(value)) {
+    value = `https://${value}`;
+  }
+
+  try {
+    const urlObj = new URL(value);
+    const path = urlObj.pathname.split('/-/')[0].replace(/\/+$/, '');
+    return `${urlObj.origin}${path}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Function to find the GitLab instance a URL belongs to: gitlab.com or a configured one (longest match wins)
+function findGitLabInstance(url, instances) {
+  // Same prefix matching as Jira instances; a configured gitlab.com entry (with a token) beats the built-in one
+  return findJiraInstance(url, [...(instances || []), { baseUrl: GITLAB_COM_BASE_URL }]);
+}
+
+// Function to work out what a GitLab URL points at: a merge request, an issue or a project
+// Returns { kind: 'merge_request'|'issue'|'project', baseUrl, project, id } or null;
+// project is the full path with subgroups (group/subgroup/project) and id the MR/issue number
+function parseGitLabUrl(url, instances) {
+  const instance = url ? findGitLabInstance(url, instances) : null;
+  if (!instance) return null;
+  
+  const path = url.substring(instance.baseUrl.length).split(/[?#]/)[0];
+  // Path segments can't start with "-", which keeps the /-/ separator out of project paths
+  const segment = '[\\w.][\\w.-]*';
+  
+  const itemMatch = path.match(new RegExp(`^\\/((?:${segment}\\/)+${segment})(?:\\/-)?\\/(merge_requests|issues)\\/(\\d+)(?:\\/|$)`));
+  if (itemMatch) {
+    const [, project, section, id] = itemMatch;
+    return { kind: section === 'issues' ? 'issue' : 'merge_request', baseUrl: instance.baseUrl, project, id };
+  }
+  
+  const projectMatch = path.match(new RegExp(`^\\/((?:${segment}\\/)+${segment})\\/?$`));
+  if (projectMatch && !GITLAB_RESERVED_PATHS.includes(projectMatch[1].split('/')[0])) {
+    return { kind: 'project', baseUrl: instance.baseUrl, project: projectMatch[1], id: null };
+  }
+  
+  return null;
+}
+
+// Helper function to get the key shown for a GitLab link: !482 for merge requests, #12 for issues
+function getGitLabLinkKey(gitlabLink) {
+  if (gitlabLink.kind === 'merge_request') return `!${gitlabLink.id}`;
+  if (gitlabLink.kind === 'issue') return `#${gitlabLink.id}`;
+  return gitlabLink.project;
+}
+
+// Function to get the host permission pattern that covers a base URL
+function getOriginPattern(baseUrl) {
+  try {
+    return `${new URL(baseUrl).origin}/*`;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,68 @@
+// Link text templates shared by the content scripts and the options page
+// A template is plain text with placeholders, e.g. "{icon} {key}: {summary} ({status}, {assignee})"
+
+const LINK_TEMPLATE_PLACEHOLDERS = ['icon', 'key', 'summary', 'status', 'assignee', 'type', 'due'];
+
+// Characters that separate placeholders and are dropped along with an empty placeholder
+const LINK_TEMPLATE_SEPARATORS = ':,;|·–—-';
+
+// Marks an empty placeholder while rendering (never part of real titles)
+const EMPTY_PLACEHOLDER_MARK = '\u0000';
+
+// Function to check whether a template uses a placeholder
+function templateUsesPlaceholder(template, name) {
+  return typeof template === 'string' && template.includes(`{${name}}`);
+}
+
+// Function to shorten a summary to a maximum length, cutting at a word boundary where possible
+// Works on code points so emoji and other surrogate pairs are never split in half, and keeps
+// combining marks (such as the strikethrough on completed Asana tasks) with their character
+function truncateSummary(summary, maxLength) {
+  if (!summary || !maxLength || maxLength <= 0) return summary;
+
+  const characters = summary.match(/\P{M}\p{M}*|\p{M}+/gu) || [];
+  if (characters.length <= maxLength) return summary;
+
+  let truncated = characters.slice(0, maxLength - 1).join('');
+
+  // Prefer to cut at the last space, unless that would throw away most of the text
+  const lastSpace = truncated.lastIndexOf(' ');
+  if (lastSpace > truncated.length / 2) {
+    truncated = truncated.substring(0, lastSpace);
+  }
+
+  return `${truncated.replace(/[\s:,;|·–—-]+$/, '')}…`;
+}
+
+// Function to render a link template with the given values
+// Empty placeholders are removed together with the separator next to them,
+// so "{icon} {key}: {summary} ({status}, {assignee})" never leaves "(, )" behind
+function renderLinkTemplate(template, values, options = {}) {
+  const separators = escapeRegExp(LINK_TEMPLATE_SEPARATORS);
+  const mark = EMPTY_PLACEHOLDER_MARK;
+
+  let text = String(template || '').replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!LINK_TEMPLATE_PLACEHOLDERS.includes(name)) return placeholder;
+
+    let value = values[name];
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return mark;
+    }
+
+    value = String(value).replace(/\s+/g, ' ').trim();
+    if (name === 'summary') {
+      value = truncateSummary(value, options.maxSummaryLength);
+    }
+    // Keep our marker out of user data
+    return value.split(mark).join('');
+  });
+
+  // An empty placeholder followed by more text takes its trailing separator with it
+  text = text.replace(new RegExp(`${mark}[ \\t]*[${separators}]*[ \\t]*(?=[^\\s)\\]${mark}])`, 'g'), '');
+  // An empty placeholder at the end or before a closing bracket takes the separator before it
+  text = text.replace(new RegExp(`[ \\t]*[${separators}]*[ \\t]*${mark}`, 'g'), '');
+  // Brackets left with nothing inside
+  text = text.replace(/\s*(?:\(\s*\)|\[\s*\])/g, '');
+
+  return text.replace(/\s+/g, ' ').trim();
+}